@@ -0,0 +1,185 @@
+/**
+ * API Keys
+ *
+ * Keys are issued and revoked through the admin endpoints. Only a SHA-256
+ * hash of each key is stored, so a key is shown once, when it is issued.
+ * Revoked keys are kept (marked with `revokedAt`) so their usage stays
+ * visible.
+ *
+ * Every key may carry its own per-minute rate limit and daily quota; keys
+ * without them use API_KEY_RATE_LIMIT_PER_MINUTE and API_KEY_DAILY_QUOTA
+ * (see rate-limit.js). Requests per key and UTC day are counted in the
+ * storage backend (see storage.js) and kept for USAGE_RETENTION_DAYS days.
+ * Updates of a key's count run one after another, so parallel requests
+ * neither lose counts nor slip past the daily quota.
+ */
+
+const crypto = require('crypto');
+const { openCollection } = require('./storage');
+
+const KEY_PREFIX = 'yik_';
+const USAGE_RETENTION_DAYS = 30;
+
+let collections = null;
+// key ID -> the last queued usage update of the key
+const usageUpdates = new Map();
+
+// Opened on first use, after the server has loaded its environment
+function stores() {
+  if (!collections) {
+    collections = {
+      keys: openCollection('api-keys'),
+      usage: openCollection('api-usage', { ttlSeconds: USAGE_RETENTION_DAYS * 24 * 60 * 60 })
+    };
+  }
+  return collections;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// The stored ID is derived from the hash, so a key can be looked up directly
+function idForHash(hash) {
+  return hash.slice(0, 16);
+}
+
+// Key record without its hash, as shown by the admin endpoints
+function publicKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Current UTC day, e.g. "2025-08-17".
+ */
+function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Issues a new key.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Who or what the key is for
+ * @param {number} [options.rateLimit] - Requests per minute (default: API_KEY_RATE_LIMIT_PER_MINUTE, 0 for no limit)
+ * @param {number} [options.dailyQuota] - Requests per UTC day (default: API_KEY_DAILY_QUOTA, 0 for no limit)
+ * @returns {Promise<Object>} The key record, including the `key` itself
+ */
+async function issueKey({ name, rateLimit, dailyQuota }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const hash = hashKey(key);
+  const record = {
+    id: idForHash(hash),
+    name,
+    rateLimit: rateLimit ?? null,
+    dailyQuota: dailyQuota ?? null,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    hash
+  };
+
+  await stores().keys.set(record.id, record, { name });
+  return { ...publicKey(record), key };
+}
+
+/**
+ * Looks up the record of a key, revoked or not.
+ *
+ * @param {string} key - Key as sent by the client
+ * @returns {Promise<Object|null>}
+ */
+async function findKey(key) {
+  const hash = hashKey(key);
+  const record = await stores().keys.get(idForHash(hash));
+  return record && record.hash === hash ? publicKey(record) : null;
+}
+
+async function getKey(id) {
+  const record = await stores().keys.get(id);
+  return record ? publicKey(record) : null;
+}
+
+async function listKeys() {
+  return (await stores().keys.values()).map(publicKey);
+}
+
+/**
+ * Revokes a key. Resolves to the updated record, or null for unknown IDs.
+ */
+async function revokeKey(id) {
+  const record = await stores().keys.get(id);
+  if (!record) return null;
+
+  const revoked = { ...record, revokedAt: record.revokedAt || new Date().toISOString() };
+  await stores().keys.set(id, revoked, { name: record.name });
+  return publicKey(revoked);
+}
+
+/**
+ * Requests made with a key on a UTC day.
+ */
+async function usageOf(id, day = usageDay()) {
+  const usage = await stores().usage.get(`${id}:${day}`);
+  return usage ? usage.requests : 0;
+}
+
+// Runs the usage updates of a key one after another
+function serialized(id, update) {
+  const run = (usageUpdates.get(id) || Promise.resolve()).then(update);
+  const settled = run.catch(() => {});
+  usageUpdates.set(id, settled);
+  settled.then(() => {
+    if (usageUpdates.get(id) === settled) usageUpdates.delete(id);
+  });
+  return run;
+}
+
+/**
+ * Counts one request for a key on the current UTC day, unless `limit`
+ * requests have been counted already.
+ *
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {number} [options.limit=0] - Daily quota; 0 for no limit
+ * @returns {Promise<number|null>} Requests counted today, including this
+ *   one, or null when the quota was used up
+ */
+function recordUsage(id, { limit = 0 } = {}) {
+  return serialized(id, async () => {
+    const day = usageDay();
+    const used = await usageOf(id, day);
+    if (limit > 0 && used >= limit) return null;
+
+    await stores().usage.set(`${id}:${day}`, { requests: used + 1 }, { id, day });
+    return used + 1;
+  });
+}
+
+/**
+ * Requests per UTC day of a key, most recent day first.
+ *
+ * @param {string} id
+ * @param {number} [days=7] - Number of days, including today
+ * @returns {Promise<{day: string, requests: number}[]>}
+ */
+async function usageHistory(id, days = 7) {
+  const history = [];
+  for (let offset = 0; offset < days; offset++) {
+    const day = usageDay(new Date(Date.now() - offset * 24 * 60 * 60 * 1000));
+    history.push({ day, requests: await usageOf(id, day) });
+  }
+  return history;
+}
+
+module.exports = {
+  issueKey,
+  findKey,
+  getKey,
+  listKeys,
+  revokeKey,
+  usageOf,
+  recordUsage,
+  usageHistory,
+  usageDay
+};
@@ -0,0 +1,222 @@
+/**
+ * Response Cache
+ *
+ * Caches provider responses (PredictHQ queries) so identical requests from
+ * different users share one upstream call. Entries expire after a TTL, and
+ * concurrent requests for the same key are coalesced onto a single in-flight
+ * fetch.
+ *
+ * Entries live in a pluggable store:
+ * - memory: per-process Map (default) of at most CACHE_MAX_ENTRIES entries,
+ *           the oldest evicted first
+ * - file:   one JSON file per entry in CACHE_DIR (default: data/cache), so
+ *           the cache survives restarts; falls back to memory when the
+ *           directory cannot be written
+ *
+ * Configured with CACHE_STORE (memory | file), CACHE_DIR, CACHE_TTL
+ * (seconds, default 900; 0 disables caching) and CACHE_MAX_ENTRIES (default
+ * 1000).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 15 * 60;
+const DEFAULT_MAX_ENTRIES = 1000;
+// Expired entries are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory store. Entries are kept in insertion order, so the oldest are
+ * evicted first once there are more than `maxEntries`.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Entries kept (default: CACHE_MAX_ENTRIES or 1000)
+ */
+function createMemoryStore(options = {}) {
+  const maxEntries = options.maxEntries || Number(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+  const entries = new Map();
+  let sweptAt = Date.now();
+
+  return {
+    name: 'memory',
+    maxEntries,
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry || null;
+    },
+
+    async set(key, entry) {
+      // Re-inserted keys count as the newest
+      entries.delete(key);
+      entries.set(key, entry);
+
+      const now = Date.now();
+      if (now - sweptAt >= SWEEP_INTERVAL_MS) {
+        sweptAt = now;
+        for (const [storedKey, stored] of entries) {
+          if (stored.expiresAt <= now) entries.delete(storedKey);
+        }
+      }
+      for (const oldestKey of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(oldestKey);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * File-backed store: one JSON file per entry, named by the hash of the key.
+ *
+ * @param {string} directory - Directory for the cache files
+ */
+function createFileStore(directory) {
+  const fallback = createMemoryStore();
+  const fileFor = key => path.join(directory, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        return entry.key === key ? entry : null;
+      } catch (error) {
+        return fallback.get(key);
+      }
+    },
+
+    async set(key, entry) {
+      try {
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(fileFor(key), JSON.stringify({ ...entry, key }), 'utf8');
+      } catch (error) {
+        console.log('Could not write cache entry, keeping it in memory:', error.message);
+        await fallback.set(key, entry);
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+      await fallback.delete(key);
+    }
+  };
+}
+
+/**
+ * Creates a cache with TTL and in-flight request coalescing.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store implementing get/set/delete (default: memory)
+ * @param {number} [options.ttlSeconds=900] - Time to live of an entry; 0 disables caching
+ */
+function createCache(options = {}) {
+  const store = options.store || createMemoryStore();
+  const ttlSeconds = options.ttlSeconds ?? DEFAULT_TTL_SECONDS;
+  const inFlight = new Map();
+
+  /**
+   * Returns the cached value for a key, or calls `fetcher` and caches its
+   * result. Failed fetches are not cached.
+   *
+   * @param {string} key
+   * @param {Function} fetcher - Async function producing the value
+   * @returns {Promise<{value: *, hit: boolean, cachedAt: string, expiresAt: string}>}
+   */
+  async function getOrFetch(key, fetcher) {
+    if (ttlSeconds <= 0) {
+      const now = new Date().toISOString();
+      return { value: await fetcher(), hit: false, cachedAt: now, expiresAt: now };
+    }
+
+    const cached = await store.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return {
+        value: cached.value,
+        hit: true,
+        cachedAt: new Date(cached.cachedAt).toISOString(),
+        expiresAt: new Date(cached.expiresAt).toISOString()
+      };
+    }
+
+    // Coalesce concurrent misses onto one fetch
+    if (!inFlight.has(key)) {
+      const pending = (async () => {
+        const value = await fetcher();
+        const cachedAt = Date.now();
+        const entry = { value, cachedAt, expiresAt: cachedAt + ttlSeconds * 1000 };
+        await store.set(key, entry);
+        return entry;
+      })().finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+    }
+
+    const entry = await inFlight.get(key);
+    return {
+      value: entry.value,
+      hit: false,
+      cachedAt: new Date(entry.cachedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    };
+  }
+
+  return {
+    store: store.name,
+    ttlSeconds,
+    getOrFetch,
+    delete: key => store.delete(key)
+  };
+}
+
+/**
+ * Builds a cache key from query parameters. Object keys are sorted so the
+ * same parameters always give the same key.
+ *
+ * @param {string} namespace - e.g. the provider name
+ * @param {Object} params
+ */
+function cacheKey(namespace, params) {
+  const sorted = Object.keys(params).sort().reduce((result, name) => {
+    result[name] = params[name];
+    return result;
+  }, {});
+  return `${namespace}:${JSON.stringify(sorted)}`;
+}
+
+let sharedCache = null;
+
+/**
+ * The process-wide cache configured from the environment.
+ */
+function defaultCache() {
+  if (!sharedCache) {
+    const store = process.env.CACHE_STORE === 'file'
+      ? createFileStore(process.env.CACHE_DIR || path.join(__dirname, 'data', 'cache'))
+      : createMemoryStore();
+    const ttl = process.env.CACHE_TTL;
+    sharedCache = createCache({
+      store,
+      ttlSeconds: ttl !== undefined && ttl !== '' ? Number(ttl) : DEFAULT_TTL_SECONDS
+    });
+  }
+  return sharedCache;
+}
+
+module.exports = {
+  createCache,
+  createMemoryStore,
+  createFileStore,
+  cacheKey,
+  defaultCache
+};
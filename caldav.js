@@ -0,0 +1,293 @@
+/**
+ * Read-only CalDAV
+ *
+ * Serves saved feeds as CalDAV calendars (RFC 4791) for clients that prefer
+ * collections over polled ICS URLs (Thunderbird, DAVx5, Outlook connectors).
+ * Each feed gets its own tree, so the feed ID stays the only secret:
+ *
+ *   /caldav/:feedId/                 principal and calendar home
+ *   /caldav/:feedId/events/          the calendar collection
+ *   /caldav/:feedId/events/:uid.ics  one event, with an ETag
+ *
+ * Supported are OPTIONS, PROPFIND (Depth 0 and 1), REPORT calendar-query
+ * (with a time-range filter) and calendar-multiget, and GET/HEAD of single
+ * events. Every event is rendered by `generateICalendar`, one VCALENDAR per
+ * resource. Writing methods are refused.
+ *
+ * This module parses the XML request bodies and renders the multistatus
+ * responses; the routes are in server.js.
+ */
+
+const crypto = require('crypto');
+
+const NAMESPACES = {
+  d: 'DAV:',
+  c: 'urn:ietf:params:xml:ns:caldav',
+  cs: 'http://calendarserver.org/ns/',
+  ic: 'http://apple.com/ns/ical/'
+};
+
+const DAV_HEADER = '1, calendar-access';
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PROPFIND, REPORT';
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXML(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parses the small XML documents CalDAV clients send into
+ * `{ ns, name, attrs, children, text }` elements with resolved namespaces.
+ *
+ * @param {string} text
+ * @returns {Object|null} Root element, or null for an empty or malformed body
+ */
+function parseXML(text) {
+  const root = { children: [] };
+  const stack = [{ element: root, namespaces: {} }];
+  const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    const [, cdata, closing, tagName, attrText, selfClosing, textContent] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined || textContent !== undefined) {
+      current.element.text = (current.element.text || '') + (cdata !== undefined ? cdata : unescapeXML(textContent));
+      continue;
+    }
+    if (!tagName) continue;
+
+    if (closing) {
+      if (stack.length === 1) return null;
+      stack.pop();
+      continue;
+    }
+
+    const namespaces = { ...current.namespaces };
+    const attrs = {};
+    (attrText || '').replace(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (all, name, double, single) => {
+      const value = unescapeXML(double !== undefined ? double : single);
+      if (name === 'xmlns') namespaces[''] = value;
+      else if (name.startsWith('xmlns:')) namespaces[name.slice(6)] = value;
+      else attrs[name.includes(':') ? name.split(':')[1] : name] = value;
+      return all;
+    });
+
+    const [prefix, localName] = tagName.includes(':') ? tagName.split(':') : ['', tagName];
+    const element = { ns: namespaces[prefix] || '', name: localName, attrs, children: [], text: '' };
+    current.element.children.push(element);
+    if (!selfClosing) stack.push({ element, namespaces });
+  }
+
+  return stack.length === 1 ? root.children[0] || null : null;
+}
+
+function findAll(element, name) {
+  if (!element) return [];
+  return element.children.flatMap(child => [...(child.name === name ? [child] : []), ...findAll(child, name)]);
+}
+
+function find(element, name) {
+  return findAll(element, name)[0] || null;
+}
+
+// Requested properties in Clark notation, e.g. "{DAV:}getetag"
+function requestedProps(element) {
+  const prop = element && element.children.find(child => child.name === 'prop');
+  return prop ? prop.children.map(child => `{${child.ns}}${child.name}`) : null;
+}
+
+/**
+ * Reads a PROPFIND body. An empty body or <allprop/> asks for all properties.
+ *
+ * @param {string} body
+ * @returns {{props: string[]|null}} Requested properties, null for all
+ */
+function parsePropfind(body) {
+  const root = parseXML(body);
+  return { props: root && root.name === 'propfind' ? requestedProps(root) : null };
+}
+
+// "20250817T000000Z" as used by time-range
+function parseUTCStamp(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value || '');
+  if (!match) return null;
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+}
+
+/**
+ * Reads a REPORT body.
+ *
+ * @param {string} body
+ * @returns {{type: string|null, props: string[]|null, timeRange: {start: Date|null, end: Date|null}|null, hrefs: string[]}}
+ *   `type` is the report element name, e.g. "calendar-query" or "calendar-multiget"
+ */
+function parseReport(body) {
+  const root = parseXML(body);
+  if (!root) return { type: null, props: null, timeRange: null, hrefs: [] };
+
+  const range = find(find(root, 'filter'), 'time-range');
+  return {
+    type: root.name,
+    props: requestedProps(root),
+    timeRange: range ? { start: parseUTCStamp(range.attrs.start), end: parseUTCStamp(range.attrs.end) } : null,
+    hrefs: findAll(root, 'href').map(href => href.text.trim())
+  };
+}
+
+/**
+ * Keeps events overlapping a time range; either end may be open.
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {{start: Date|null, end: Date|null}|null} timeRange
+ * @returns {Object[]}
+ */
+function filterByTimeRange(events, timeRange) {
+  if (!timeRange) return events;
+  return events.filter(event => {
+    const start = new Date(event.startDate);
+    const end = new Date(event.endDate || event.startDate);
+    return (!timeRange.end || start < timeRange.end) && (!timeRange.start || end > timeRange.start);
+  });
+}
+
+/**
+ * Resource name of an event inside the collection.
+ */
+function eventResourceName(event) {
+  return `${encodeURIComponent(event.uid)}.ics`;
+}
+
+/**
+ * ETag of an event. Taken from the event data rather than the rendered text,
+ * whose DTSTAMP changes on every request.
+ */
+function eventEtag(event) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(event)).digest('hex').slice(0, 20);
+  return `"${hash}"`;
+}
+
+/**
+ * Collection tag: changes whenever any event of the collection changes.
+ */
+function collectionTag(events) {
+  return crypto.createHash('sha1').update(events.map(eventEtag).join(',')).digest('hex').slice(0, 20);
+}
+
+const PRIVILEGES = '<d:privilege><d:read/></d:privilege><d:privilege><d:read-current-user-privilege-set/></d:privilege>';
+
+/**
+ * Property values of a resource, as XML fragments keyed by Clark notation.
+ *
+ * @param {Object} resource
+ * @param {string} resource.kind - "home", "calendar" or "event"
+ * @param {string} resource.homeHref - Path of the principal and calendar home
+ * @returns {Object<string, string>}
+ */
+function resourceProps(resource) {
+  const props = {
+    '{DAV:}current-user-principal': `<d:href>${escapeXML(resource.homeHref)}</d:href>`,
+    '{DAV:}current-user-privilege-set': PRIVILEGES
+  };
+
+  if (resource.kind === 'home') {
+    Object.assign(props, {
+      '{DAV:}resourcetype': '<d:collection/><d:principal/>',
+      '{DAV:}displayname': escapeXML(resource.displayName),
+      '{DAV:}principal-URL': `<d:href>${escapeXML(resource.homeHref)}</d:href>`,
+      '{urn:ietf:params:xml:ns:caldav}calendar-home-set': `<d:href>${escapeXML(resource.homeHref)}</d:href>`
+    });
+  } else if (resource.kind === 'calendar') {
+    Object.assign(props, {
+      '{DAV:}resourcetype': '<d:collection/><c:calendar/>',
+      '{DAV:}displayname': escapeXML(resource.displayName),
+      '{DAV:}owner': `<d:href>${escapeXML(resource.homeHref)}</d:href>`,
+      '{DAV:}supported-report-set': ['calendar-query', 'calendar-multiget']
+        .map(report => `<d:supported-report><d:report><c:${report}/></d:report></d:supported-report>`).join(''),
+      '{DAV:}getetag': escapeXML(`"${resource.ctag}"`),
+      '{urn:ietf:params:xml:ns:caldav}supported-calendar-component-set': '<c:comp name="VEVENT"/>',
+      '{urn:ietf:params:xml:ns:caldav}calendar-description': escapeXML(resource.description || ''),
+      '{http://calendarserver.org/ns/}getctag': escapeXML(resource.ctag),
+      '{http://apple.com/ns/ical/}calendar-color': resource.color ? escapeXML(resource.color) : null
+    });
+  } else {
+    Object.assign(props, {
+      '{DAV:}resourcetype': '',
+      '{DAV:}getetag': escapeXML(resource.etag),
+      '{DAV:}getcontenttype': 'text/calendar; charset=utf-8; component=VEVENT',
+      '{DAV:}getlastmodified': resource.lastModified ? new Date(resource.lastModified).toUTCString() : null,
+      '{urn:ietf:params:xml:ns:caldav}calendar-data': resource.ics !== undefined ? escapeXML(resource.ics) : null
+    });
+  }
+
+  Object.keys(props).forEach(key => props[key] === null && delete props[key]);
+  return props;
+}
+
+// Element for a property in Clark notation, with a prefix for known namespaces
+function propElement(clark, value) {
+  const [, ns, name] = /^\{([^}]*)\}(.+)$/.exec(clark);
+  const prefix = Object.keys(NAMESPACES).find(key => NAMESPACES[key] === ns);
+  const tag = prefix ? `${prefix}:${name}` : `x:${name}`;
+  const declaration = prefix ? '' : ` xmlns:x="${escapeXML(ns)}"`;
+  return value === '' || value === undefined ? `<${tag}${declaration}/>` : `<${tag}${declaration}>${value}</${tag}>`;
+}
+
+/**
+ * Renders a 207 Multi-Status body.
+ *
+ * @param {Object[]} responses - Each `{ href, props }` with the resource's
+ *   property values (see resourceProps), or `{ href, status }` for a
+ *   resource that cannot be returned
+ * @param {string[]|null} requested - Requested properties, null for all;
+ *   properties the resource does not have are reported as 404
+ * @returns {string}
+ */
+function multistatus(responses, requested) {
+  const body = responses.map(response => {
+    if (response.status) {
+      return `<d:response><d:href>${escapeXML(response.href)}</d:href><d:status>HTTP/1.1 ${response.status}</d:status></d:response>`;
+    }
+
+    // calendar-data is only sent when asked for, as it is the bulk of the response
+    const names = requested || Object.keys(response.props).filter(name => !name.endsWith('}calendar-data'));
+    const found = names.filter(name => name in response.props);
+    const missing = names.filter(name => !(name in response.props));
+
+    const propstats = [
+      found.length > 0 ? `<d:propstat><d:prop>${found.map(name => propElement(name, response.props[name])).join('')}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>` : '',
+      missing.length > 0 ? `<d:propstat><d:prop>${missing.map(name => propElement(name, '')).join('')}</d:prop><d:status>HTTP/1.1 404 Not Found</d:status></d:propstat>` : ''
+    ].join('');
+    return `<d:response><d:href>${escapeXML(response.href)}</d:href>${propstats}</d:response>`;
+  });
+
+  const declarations = Object.entries(NAMESPACES).map(([prefix, ns]) => `xmlns:${prefix}="${ns}"`).join(' ');
+  return `<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus ${declarations}>${body.join('')}</d:multistatus>`;
+}
+
+module.exports = {
+  DAV_HEADER,
+  ALLOWED_METHODS,
+  parsePropfind,
+  parseReport,
+  filterByTimeRange,
+  eventResourceName,
+  eventEtag,
+  collectionTag,
+  resourceProps,
+  multistatus
+};
@@ -0,0 +1,67 @@
+/**
+ * Calendar Import
+ *
+ * Reads a user's own calendar (an uploaded .ics file) so it can be combined
+ * with discovered events:
+ * - merged:     the user's events and the discovered events in one calendar
+ * - free-slots: only the discovered events that do not overlap the user's
+ *               busy times
+ *
+ * Recurring events in the upload are expanded within the calendar's date
+ * range. Busy times follow the iCalendar free/busy rules: cancelled and
+ * TRANSPARENT events are free, all-day events only count when marked OPAQUE.
+ */
+
+const { parseICS, parseICSEvents } = require('./ics-parser');
+const { normalizeEvents } = require('./utils');
+const { filterRecords } = require('./providers/query');
+
+const IMPORT_VARIANTS = ['merged', 'free-slots'];
+
+/**
+ * Parses an uploaded calendar into normalized events and busy slots within
+ * a date range.
+ *
+ * @param {string} icsContent - Uploaded iCalendar text
+ * @param {Object} options
+ * @param {{start: Date, end: Date}} options.range - Date range of the calendar
+ * @param {string} [options.timezone='UTC'] - Timezone for events that carry none
+ * @returns {{events: Object[], busy: {start: Date, end: Date}[], total: number}}
+ *   `events` are marked `imported`; `total` counts the VEVENTs in the upload
+ */
+function importCalendar(icsContent, { range, timezone }) {
+  const records = filterRecords(
+    parseICSEvents(icsContent, { start: range.start, end: range.end }),
+    { start: range.start, end: range.end }
+  ).map(record => ({ ...record, source: 'import' }));
+
+  // normalizeEvents keeps the order, so records and events line up
+  const events = normalizeEvents(records, { timezone }).map(event => ({ ...event, imported: true }));
+  const busy = events
+    .filter((event, index) => records[index].busy)
+    .map(event => ({ start: new Date(event.startDate), end: new Date(event.endDate) }));
+
+  return { events, busy, total: parseICS(icsContent).length };
+}
+
+/**
+ * Drops events that overlap any busy slot.
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {{start: Date, end: Date}[]} busy
+ * @returns {{events: Object[], dropped: number}}
+ */
+function removeBusyOverlaps(events, busy) {
+  const free = events.filter(event => {
+    const start = new Date(event.startDate);
+    const end = new Date(event.endDate || event.startDate);
+    return !busy.some(slot => start < slot.end && end > slot.start);
+  });
+  return { events: free, dropped: events.length - free.length };
+}
+
+module.exports = {
+  IMPORT_VARIANTS,
+  importCalendar,
+  removeBusyOverlaps
+};
@@ -0,0 +1,263 @@
+/**
+ * Calendar Event Pipeline
+ *
+ * Collects the events for a calendar request (location, categories, dates)
+ * and turns them into normalized events, adding synthetic sample events only
+ * when the request asks for them. Shared by the one-shot
+ * `/api/generate-calendar` endpoint and the subscribable feeds, which rebuild
+ * their events on every poll.
+ */
+
+const { normalizeEvents } = require('./utils');
+const { defaultSources, fetchFromSources, countFromSources } = require('./providers');
+const { parseLocation, filterByDistance, sortByDistance } = require('./geo');
+const { resolveTimezone, localDate } = require('./timezone');
+const { generateLocationEvents, createSeed } = require('./synthetic');
+const { limitEvents, DEFAULT_MAX_EVENTS } = require('./ranking');
+const { resolveDateRange, filterByTime } = require('./date-filter');
+const { filterByDetails } = require('./event-filter');
+const { dedupeEvents } = require('./dedupe');
+const { DEFAULT_CATEGORIES, CATEGORY_VALUES, listCategories } = require('./categories');
+
+// How synthetic sample events may be used: never, exclusively, or to fill empty days
+const MODES = ['real', 'synthetic', 'mixed'];
+
+/**
+ * Collects, normalizes and deduplicates the events for a calendar request.
+ * Real events come from the configured event sources (PredictHQ by default).
+ * Synthetic sample events are only included when the request opts in:
+ * - real:      real events only (default)
+ * - synthetic: sample events only
+ * - mixed:     real events, with sample events on days that have none
+ *
+ * @param {Object} options
+ * @param {string} options.location - Location in format radius@latitude,longitude (e.g. "10km@…", "5mi@…")
+ * @param {string} [options.categories] - Comma-separated list of event categories
+ * @param {number} [options.weeks=4] - Number of weeks from today (or from `start`)
+ * @param {string} [options.start] - First day ("2025-08-17", default: today)
+ * @param {string} [options.end] - Last day, inclusive (default: start + weeks)
+ * @param {string} [options.weekdays] - Only events on these weekdays, e.g. "sat,sun"
+ * @param {string} [options.timeFrom] - Only events starting at or after this local time ("18:00")
+ * @param {string} [options.timeTo] - Only events starting before this local time ("23:00")
+ * @param {number} [options.minRank] - Minimum PredictHQ rank
+ * @param {number} [options.minLocalRank] - Minimum PredictHQ local rank
+ * @param {number} [options.minAttendance] - Minimum predicted attendance
+ * @param {string} [options.keywords] - Comma-separated keywords the title or a label must contain
+ * @param {string} [options.excludeKeywords] - Comma-separated keywords that drop an event
+ * @param {string} [options.cityName] - City name used for sample events
+ * @param {Object[]} [options.sources] - Event source definitions (see providers/)
+ * @param {string} [options.timezone] - IANA timezone (default: resolved from the coordinates)
+ * @param {string} [options.mode='real'] - One of MODES
+ * @param {string} [options.seed] - Seed for reproducible sample events (default: random)
+ * @param {number} [options.maxEvents] - Maximum events to keep (default: DEFAULT_MAX_EVENTS)
+ * @param {number} [options.maxPerDay] - Maximum events per local day (default: no cap)
+ * @returns {Promise<{events: Object[], timezone: string, mode: string, seed: string|null, range: {start: string, end: string}, counts: {real: number, synthetic: number, merged: number}, truncation: Object, cache: Object|null, sourceErrors: Object[]}>}
+ */
+async function buildCalendarEvents({
+  location,
+  categories,
+  weeks = 4,
+  start,
+  end,
+  weekdays,
+  timeFrom,
+  timeTo,
+  minRank,
+  minLocalRank,
+  minAttendance,
+  keywords,
+  excludeKeywords,
+  cityName,
+  sources,
+  timezone,
+  mode = 'real',
+  seed,
+  maxEvents = DEFAULT_MAX_EVENTS,
+  maxPerDay
+}) {
+  const sourceList = sources && sources.length > 0 ? sources : defaultSources();
+  const target = parseLocation(location);
+  if (!target) {
+    throw new Error(`Invalid location: ${location}`);
+  }
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid mode: ${mode}`);
+  }
+  const calendarTimezone = timezone || resolveTimezone(target.lat, target.lon) || 'UTC';
+  const range = resolveDateRange({ start, end, weeks, timezone: calendarTimezone });
+  const timeFilters = { range, weekdays, timeFrom, timeTo, timezone: calendarTimezone };
+  const detailFilters = { minRank, minLocalRank, minAttendance, keywords, excludeKeywords };
+  let realEvents = [];
+  let syntheticEvents = [];
+  let sourceErrors = [];
+  let providerTruncated = false;
+  let cache = null;
+
+  if (mode !== 'synthetic' && sourceList.length > 0) {
+    const result = await fetchFromSources(sourceList, {
+      location: target,
+      start: range.start,
+      end: range.end,
+      categories: (categories || DEFAULT_CATEGORIES).split(','),
+      minRank,
+      minLocalRank,
+      minAttendance,
+      maxEvents
+    });
+    sourceErrors = result.errors;
+    providerTruncated = result.truncated;
+    cache = result.cache;
+
+    // Keep events within the requested radius (events without coordinates,
+    // e.g. from ICS files, are kept as well), dates, times and detail filters
+    realEvents = filterByDetails(
+      filterByTime(
+        filterByDistance(
+          normalizeEvents(result.events, { timezone: calendarTimezone }),
+          target,
+          target.radiusKm
+        ),
+        timeFilters
+      ),
+      detailFilters
+    );
+
+    console.log(`Found ${realEvents.length} events within ${target.radius} of target location`);
+  }
+
+  const sampleSeed = mode === 'real' ? null : (seed || createSeed());
+  if (mode !== 'real') {
+    // In mixed mode, only days without real events get samples
+    const skipDays = mode === 'mixed'
+      ? new Set(realEvents.map(event => localDate(event.startDate, calendarTimezone)))
+      : new Set();
+
+    console.log(`Generating sample events (mode: ${mode}, seed: ${sampleSeed})`);
+    syntheticEvents = filterByDetails(
+      filterByTime(
+        filterByDistance(
+          normalizeEvents(
+            generateLocationEvents(
+              { cityName, timezone: calendarTimezone },
+              categories || DEFAULT_CATEGORIES,
+              range,
+              { seed: sampleSeed, skipDays }
+            ),
+            { timezone: calendarTimezone }
+          ),
+          target,
+          target.radiusKm
+        ),
+        timeFilters
+      ),
+      detailFilters
+    );
+  }
+
+  // Merge duplicate listings and split multi-day events, then keep the most
+  // relevant events within the caps, in chronological order. The sorts are
+  // stable, so events that tie on relevance or start are listed nearest first.
+  const { events: uniqueEvents, merged } = dedupeEvents(
+    sortByDistance([...realEvents, ...syntheticEvents]),
+    { timezone: calendarTimezone }
+  );
+  if (merged > 0) {
+    console.log(`Merged ${merged} duplicate event listings`);
+  }
+  const available = uniqueEvents.length;
+  const { events, droppedByDailyCap, droppedByLimit } = limitEvents(
+    uniqueEvents,
+    { maxEvents, maxPerDay, timezone: calendarTimezone }
+  );
+
+  return {
+    events,
+    timezone: calendarTimezone,
+    mode,
+    seed: sampleSeed,
+    range: {
+      start: range.startDay,
+      end: range.endDay
+    },
+    counts: {
+      real: events.filter(event => !event.synthetic).length,
+      synthetic: events.filter(event => event.synthetic).length,
+      merged
+    },
+    truncation: {
+      truncated: providerTruncated || events.length < available,
+      providerTruncated,
+      available,
+      returned: events.length,
+      droppedByDailyCap,
+      droppedByLimit
+    },
+    cache,
+    sourceErrors
+  };
+}
+
+/**
+ * Counts the real events per category at a location and date range, so the
+ * form can show which categories have events there. Sources that support it
+ * count upstream (PredictHQ's count query); for the others the events are
+ * fetched and counted after the radius and date filters.
+ *
+ * @param {Object} options
+ * @param {string} options.location - Location in format radius@latitude,longitude
+ * @param {number} [options.weeks=4] - Number of weeks from today (or from `start`)
+ * @param {string} [options.start] - First day (default: today)
+ * @param {string} [options.end] - Last day, inclusive (default: start + weeks)
+ * @param {Object[]} [options.sources] - Event source definitions (see providers/)
+ * @param {string} [options.timezone] - IANA timezone (default: resolved from the coordinates)
+ * @returns {Promise<{categories: Object[], total: number, sources: number, timezone: string, range: {start: string, end: string}, cache: Object|null, sourceErrors: Object[]}>}
+ *   `categories` lists every registry category with its `count`
+ */
+async function countCategoryEvents({ location, weeks = 4, start, end, sources, timezone }) {
+  const sourceList = sources && sources.length > 0 ? sources : defaultSources();
+  const target = parseLocation(location);
+  if (!target) {
+    throw new Error(`Invalid location: ${location}`);
+  }
+  const calendarTimezone = timezone || resolveTimezone(target.lat, target.lon) || 'UTC';
+  const range = resolveDateRange({ start, end, weeks, timezone: calendarTimezone });
+
+  const result = sourceList.length > 0
+    ? await countFromSources(sourceList, {
+      location: target,
+      start: range.start,
+      end: range.end,
+      categories: CATEGORY_VALUES
+    })
+    : { counts: {}, events: [], errors: [], cache: null };
+
+  const counts = { ...result.counts };
+  filterByTime(
+    filterByDistance(normalizeEvents(result.events, { timezone: calendarTimezone }), target, target.radiusKm),
+    { range, timezone: calendarTimezone }
+  ).forEach(event => {
+    counts[event.category] = (counts[event.category] || 0) + 1;
+  });
+
+  const categories = listCategories().map(category => ({ ...category, count: counts[category.value] || 0 }));
+
+  return {
+    categories,
+    total: categories.reduce((sum, category) => sum + category.count, 0),
+    sources: sourceList.length,
+    timezone: calendarTimezone,
+    range: {
+      start: range.startDay,
+      end: range.endDay
+    },
+    cache: result.cache,
+    sourceErrors: result.errors
+  };
+}
+
+module.exports = {
+  buildCalendarEvents,
+  countCategoryEvents,
+  DEFAULT_CATEGORIES,
+  MODES
+};
@@ -0,0 +1,267 @@
+/**
+ * Event Categories
+ *
+ * The registry of event categories the API accepts. Every module that deals
+ * with categories reads them from here:
+ * - value, label, description, icon: shown by GET /api/categories and the form
+ *   (icon is a Font Awesome icon name)
+ * - main: part of the default selection when a request names no categories
+ * - providers: the category names used by each event source; `predicthq`
+ *   lists the PredictHQ categories that are queried for it, `ics` the
+ *   CATEGORIES values of calendar feeds that are read as it
+ * - templates: titles of the synthetic sample events (see synthetic.js)
+ */
+
+const CATEGORIES = [
+  {
+    value: 'public-holidays',
+    label: 'Public Holidays',
+    description: 'National and regional public holidays',
+    icon: 'flag',
+    main: true,
+    providers: { predicthq: ['public-holidays'], ics: ['public-holidays', 'public holiday', 'holiday', 'holidays'] },
+    templates: city => [
+      `${city} Public Holiday Celebration`,
+      `National Day in ${city}`,
+      `${city} Heritage Festival`
+    ]
+  },
+  {
+    value: 'observances',
+    label: 'Observances',
+    description: 'Cultural and religious days that are not public holidays',
+    icon: 'star-and-crescent',
+    main: true,
+    providers: { predicthq: ['observances'], ics: ['observances', 'observance', 'religious'] },
+    templates: city => [
+      `Remembrance Day Ceremony in ${city}`,
+      `${city} Lantern Festival`,
+      `Interfaith Gathering ${city}`
+    ]
+  },
+  {
+    value: 'academic',
+    label: 'Academic Events',
+    description: 'University terms, exams and graduations',
+    icon: 'graduation-cap',
+    main: true,
+    providers: { predicthq: ['academic'], ics: ['academic', 'education', 'university'] },
+    templates: city => [
+      `${city} University Conference`,
+      `Research Symposium ${city}`,
+      `Academic Workshop at ${city}`,
+      `Student Exchange Program ${city}`
+    ]
+  },
+  {
+    value: 'conferences',
+    label: 'Conferences',
+    description: 'Conferences, trade fairs and summits',
+    icon: 'users',
+    main: true,
+    providers: { predicthq: ['conferences'], ics: ['conferences', 'conference', 'business'] },
+    templates: city => [
+      `Tech Conference ${city}`,
+      `Business Summit ${city}`,
+      `Innovation Forum ${city}`,
+      `Startup Meetup ${city}`
+    ]
+  },
+  {
+    value: 'concerts',
+    label: 'Concerts',
+    description: 'Live music from club gigs to stadium tours',
+    icon: 'music',
+    main: true,
+    providers: { predicthq: ['concerts'], ics: ['concerts', 'concert', 'music'] },
+    templates: city => [
+      `Classical Concert at ${city} Concert Hall`,
+      `Jazz Night in ${city}`,
+      `Rock Concert - ${city} Arena`,
+      `Chamber Music at ${city} Opera House`,
+      `Electronic Music Festival ${city}`
+    ]
+  },
+  {
+    value: 'festivals',
+    label: 'Festivals',
+    description: 'Music, film, food and cultural festivals',
+    icon: 'champagne-glasses',
+    main: true,
+    providers: { predicthq: ['festivals'], ics: ['festivals', 'festival'] },
+    templates: city => [
+      `${city} Music Festival`,
+      `${city} Art & Culture Festival`,
+      `${city} Food & Wine Festival`,
+      `${city} International Film Festival`,
+      `${city} Street Art Festival`
+    ]
+  },
+  {
+    value: 'performing-arts',
+    label: 'Performing Arts',
+    description: 'Theatre, opera, ballet and comedy',
+    icon: 'masks-theater',
+    main: true,
+    providers: { predicthq: ['performing-arts'], ics: ['performing-arts', 'performing arts', 'theatre', 'theater', 'arts'] },
+    templates: city => [
+      `Theatre Performance ${city}`,
+      `Opera Gala ${city}`,
+      `Ballet Show ${city}`,
+      `Comedy Night ${city}`
+    ]
+  },
+  {
+    value: 'sports',
+    label: 'Sports',
+    description: 'Matches, races and tournaments',
+    icon: 'futbol',
+    main: true,
+    providers: { predicthq: ['sports'], ics: ['sports', 'sport'] },
+    templates: city => [
+      `${city} Football Match`,
+      `${city} Basketball Tournament`,
+      `${city} Marathon`,
+      `Tennis Open ${city}`,
+      `${city} Cycling Championship`
+    ]
+  },
+  {
+    value: 'community',
+    label: 'Community Events',
+    description: 'Markets, meetups and neighbourhood events',
+    icon: 'people-group',
+    main: false,
+    providers: { predicthq: ['community'], ics: ['community', 'market', 'meetup'] },
+    templates: city => [
+      `${city} Farmers Market`,
+      `Neighbourhood Clean-Up ${city}`,
+      `${city} Flea Market`,
+      `Community Picnic in ${city}`
+    ]
+  },
+  {
+    value: 'daylight-savings',
+    label: 'Daylight Savings',
+    description: 'Clock changes for daylight saving time',
+    icon: 'clock',
+    main: false,
+    providers: { predicthq: ['daylight-savings'], ics: ['daylight-savings', 'daylight saving time', 'dst'] },
+    templates: city => [
+      `Clocks Change in ${city}`
+    ]
+  },
+  {
+    value: 'politics',
+    label: 'Politics',
+    description: 'Elections, referendums and political rallies',
+    icon: 'landmark',
+    main: false,
+    providers: { predicthq: ['politics'], ics: ['politics', 'political', 'election'] },
+    templates: city => [
+      `${city} City Council Meeting`,
+      `Town Hall Debate ${city}`,
+      `${city} Mayoral Candidates Forum`
+    ]
+  },
+  {
+    value: 'health-warnings',
+    label: 'Health Warnings',
+    description: 'Public health alerts such as outbreaks and air quality warnings',
+    icon: 'notes-medical',
+    main: false,
+    providers: { predicthq: ['health-warnings'], ics: ['health-warnings', 'health'] },
+    templates: city => [
+      `${city} Air Quality Advisory`,
+      `Pollen Alert ${city}`
+    ]
+  },
+  {
+    value: 'severe-weather',
+    label: 'Severe Weather',
+    description: 'Storm, flood and heat warnings',
+    icon: 'cloud-bolt',
+    main: false,
+    providers: { predicthq: ['severe-weather'], ics: ['severe-weather', 'weather'] },
+    templates: city => [
+      `${city} Storm Warning`,
+      `Heat Advisory ${city}`,
+      `${city} Flood Watch`
+    ]
+  }
+];
+
+const CATEGORY_VALUES = CATEGORIES.map(category => category.value);
+
+// Categories used when a request does not name any
+const DEFAULT_CATEGORIES = CATEGORIES.filter(category => category.main).map(category => category.value).join(',');
+
+/**
+ * Looks up a category by its value.
+ *
+ * @param {string} value
+ * @returns {Object|undefined}
+ */
+function getCategory(value) {
+  return CATEGORIES.find(category => category.value === value);
+}
+
+/**
+ * The public description of every category, as listed by GET /api/categories.
+ *
+ * @returns {{value: string, label: string, description: string, icon: string, main: boolean}[]}
+ */
+function listCategories() {
+  return CATEGORIES.map(({ value, label, description, icon, main }) => ({ value, label, description, icon, main }));
+}
+
+/**
+ * Translates category values to the names an event source uses.
+ *
+ * @param {string[]} values - Category values
+ * @param {string} provider - Provider type, e.g. "predicthq"
+ * @returns {string[]} Provider category names, without duplicates
+ */
+function providerCategories(values, provider) {
+  return [...new Set(values.flatMap(value => {
+    const category = getCategory(value);
+    return category && category.providers[provider] ? category.providers[provider] : [value];
+  }))];
+}
+
+/**
+ * Translates a category name used by an event source to a category value.
+ *
+ * @param {string} name - Category as delivered by the source
+ * @param {string} provider - Provider type, e.g. "predicthq" or "ics"
+ * @returns {string|null} Category value, or null for categories outside the registry
+ */
+function resolveCategory(name, provider) {
+  if (!name) return null;
+  const key = String(name).trim().toLowerCase();
+  const category = CATEGORIES.find(entry => (entry.providers[provider] || [entry.value]).includes(key));
+  return category ? category.value : null;
+}
+
+/**
+ * Titles of the sample events of a category.
+ *
+ * @param {string} value - Category value
+ * @param {string} cityName - City name used in the titles
+ * @returns {string[]} Titles, empty for unknown categories
+ */
+function sampleTitles(value, cityName) {
+  const category = getCategory(value);
+  return category ? category.templates(cityName) : [];
+}
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_VALUES,
+  DEFAULT_CATEGORIES,
+  getCategory,
+  listCategories,
+  providerCategories,
+  resolveCategory,
+  sampleTitles
+};
@@ -15,82 +15,37 @@ try {
   console.log('No .env file found or error reading it');
 }
 
-const axios = require('axios');
-const cron = require('node-cron');
-const { normalizeEvents, generateICalendar, saveICalendarFile } = require('./utils');
-
-const PREDICTHQ_API_URL = 'https://api.predicthq.com/v1/events/';
-const PREDICTHQ_TOKEN = process.env.PREDICTHQ_TOKEN;
-
-async function fetchPredictHQEvents() {
-  try {
-    const headers = PREDICTHQ_TOKEN ? {
-      'Authorization': `Bearer ${PREDICTHQ_TOKEN}`
-    } : {};
-
-    console.log('Fetching events from PredictHQ for Berlin, Germany...');
-    console.log('Date range:', new Date().toISOString().split('T')[0], 'to', new Date(Date.now() + 28 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]);
-    
-    const params = {
-      limit: 140,  // 5 events per day × 28 days = 140 events max
-      category: 'public-holidays,observances,academic,conferences,concerts,festivals,performing-arts,sports',
-      'start.gte': new Date().toISOString().split('T')[0],
-      'start.lte': new Date(Date.now() + 28 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-      'location.within': '50km@52.5200,13.4050'  // Berlin coordinates with 50km radius
-    };
-    
-    console.log('API parameters:', params);
-    
-    const response = await axios.get(PREDICTHQ_API_URL, {
-      headers,
-      params
-    });
-
-    const events = response.data.results || [];
-    console.log(`Fetched ${events.length} events from PredictHQ`);
+const scheduler = require('./scheduler');
+
+/**
+ * Runs the configured calendar jobs once (all of them, or those named on the
+ * command line), e.g. `node cron.js berlin london-sports`.
+ */
+async function runJobs(names) {
+  const jobs = scheduler.getJobs();
+  if (jobs.length === 0) {
+    console.log('No calendar jobs configured. Create jobs.json or jobs.yaml, or set JOBS_FILE.');
+    return;
+  }
 
-    const normalizedEvents = normalizeEvents(events);
-    const icsContent = generateICalendar(normalizedEvents);
-    saveICalendarFile(icsContent);
-    
-    console.log('Calendar generation completed successfully');
-    
-  } catch (error) {
-    console.error('Error fetching events:', error.message);
-    
-    if (error.response?.status === 401) {
-      console.error('Authentication failed. Please set PREDICTHQ_TOKEN environment variable.');
-      console.error('Get your token from: https://control.predicthq.com/');
-    }
-    
-    const fallbackEvents = [
-      {
-        title: 'Sample Event',
-        startDate: new Date(),
-        endDate: new Date(Date.now() + 2 * 60 * 60 * 1000)
-      }
-    ];
-    
-    console.log('Creating fallback calendar with sample event...');
-    const icsContent = generateICalendar(fallbackEvents);
-    saveICalendarFile(icsContent);
+  const selected = names.length > 0 ? jobs.filter(job => names.includes(job.name)) : jobs;
+  const unknown = names.filter(name => !jobs.some(job => job.name === name));
+  if (unknown.length > 0) {
+    console.error(`Unknown calendar job(s): ${unknown.join(', ')}`);
+    process.exitCode = 1;
   }
-}
 
-function startCronJob() {
-  console.log('Starting daily cron job (06:00)...');
-  
-  cron.schedule('0 6 * * *', () => {
-    console.log('Running scheduled calendar update...');
-    fetchPredictHQEvents();
-  });
-  
-  console.log('Cron job scheduled. Running initial fetch...');
-  fetchPredictHQEvents();
+  for (const job of selected) {
+    const run = await scheduler.runJob(job);
+    if (run.status !== 'success') process.exitCode = 1;
+  }
 }
 
 if (require.main === module) {
-  fetchPredictHQEvents();
+  runJobs(process.argv.slice(2)).catch(error => {
+    console.error('Error running calendar jobs:', error.message);
+    process.exitCode = 1;
+  });
 } else {
-  module.exports = { fetchPredictHQEvents, startCronJob };
-}
\ No newline at end of file
+  module.exports = { runJobs };
+}
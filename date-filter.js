@@ -0,0 +1,130 @@
+/**
+ * Date Range and Time Filters
+ *
+ * Resolves the date window of a calendar request (explicit `start`/`end`
+ * dates or a number of `weeks` from today) in the calendar's timezone, and
+ * filters events by that window, by weekday ("sat,sun") and by time of day
+ * ("18:00"–"23:59"). The same filters are applied to real and sample events.
+ */
+
+const { zonedTimeToDate, localDate, addDays, formatLocalISO } = require('./timezone');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Longest allowed window, matching the 12-week maximum of `weeks`
+const MAX_RANGE_DAYS = 12 * 7;
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Whether a value is a valid calendar date ("2025-08-17").
+ */
+function isValidDay(value) {
+  const match = DAY_PATTERN.exec(String(value));
+  if (!match) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return date.getUTCFullYear() === +match[1] && date.getUTCMonth() + 1 === +match[2] && date.getUTCDate() === +match[3];
+}
+
+/**
+ * Whether a value is a valid time of day ("18:00").
+ */
+function isValidTime(value) {
+  return TIME_PATTERN.test(String(value));
+}
+
+/**
+ * Parses a comma-separated weekday list ("sat,sun") into weekday names.
+ *
+ * @returns {string[]|null} null when a day is not one of WEEKDAYS
+ */
+function parseWeekdays(value) {
+  const days = String(value).split(',').map(day => day.trim().toLowerCase().slice(0, 3));
+  return days.every(day => WEEKDAYS.includes(day)) ? days : null;
+}
+
+function weekdayOf(day) {
+  return WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+}
+
+function zonedMidnight(day, timezone) {
+  return zonedTimeToDate(...day.split('-').map(Number), 0, 0, 0, timezone);
+}
+
+/**
+ * Resolves the date window of a request. Without explicit dates the window
+ * starts today and spans `weeks` weeks. Windows longer than MAX_RANGE_DAYS
+ * (e.g. of feeds saved before the limit) are cut to that length.
+ *
+ * @param {Object} options
+ * @param {string} [options.start] - First day ("2025-08-17")
+ * @param {string} [options.end] - Last day, inclusive
+ * @param {number} [options.weeks=4] - Length when `end` is omitted
+ * @param {string} options.timezone - Timezone that defines the days
+ * @returns {{startDay: string, endDay: string, start: Date, end: Date}} `end` is exclusive
+ */
+function resolveDateRange({ start, end, weeks = 4, timezone }) {
+  const startDay = start || localDate(new Date(), timezone);
+  const lastAllowedDay = addDays(startDay, MAX_RANGE_DAYS - 1);
+  const requestedEnd = end || addDays(startDay, weeks * 7 - 1);
+  const endDay = requestedEnd > lastAllowedDay ? lastAllowedDay : requestedEnd;
+
+  return {
+    startDay,
+    endDay,
+    start: zonedMidnight(startDay, timezone),
+    end: zonedMidnight(addDays(endDay, 1), timezone)
+  };
+}
+
+/**
+ * Keeps events that overlap the date window and match the weekday and
+ * time-of-day filters. Days and times are taken in each event's timezone;
+ * all-day events pass the time-of-day filter. A window whose `timeFrom` is
+ * later than `timeTo` wraps past midnight ("22:00"–"02:00").
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {Object} filters
+ * @param {{start: Date, end: Date}} filters.range - Window from resolveDateRange
+ * @param {string} [filters.weekdays] - Comma-separated weekdays, e.g. "sat,sun"
+ * @param {string} [filters.timeFrom] - Earliest start time ("18:00")
+ * @param {string} [filters.timeTo] - Latest start time, exclusive ("23:00")
+ * @param {string} [filters.timezone='UTC'] - Timezone for events that carry none
+ * @returns {Object[]}
+ */
+function filterByTime(events, { range, weekdays, timeFrom, timeTo, timezone = 'UTC' }) {
+  const days = weekdays ? parseWeekdays(weekdays) : null;
+  const from = timeFrom || '00:00';
+  const to = timeTo || '24:00';
+
+  return events.filter(event => {
+    const start = new Date(event.startDate);
+    const end = new Date(event.endDate || event.startDate);
+    // Overlap with the window (events without a duration count by their start)
+    if (range && !(start < range.end && (end > range.start || start >= range.start))) {
+      return false;
+    }
+
+    const local = formatLocalISO(start, event.timezone || timezone);
+    if (days && !days.includes(weekdayOf(local.slice(0, 10)))) {
+      return false;
+    }
+
+    if (!event.allDay && (timeFrom || timeTo)) {
+      const time = local.slice(11, 16);
+      return from <= to ? time >= from && time < to : time >= from || time < to;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  WEEKDAYS,
+  MAX_RANGE_DAYS,
+  isValidDay,
+  isValidTime,
+  parseWeekdays,
+  resolveDateRange,
+  filterByTime
+};
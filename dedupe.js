@@ -0,0 +1,156 @@
+/**
+ * Event Deduplication
+ *
+ * Sources often list the same event more than once: duplicate listings, the
+ * same event from two sources, or a multi-day festival split into one entry
+ * per day. Events are clustered when their normalized titles match, their
+ * times overlap or follow each other within DEDUPE_GAP_MINUTES, and they
+ * take place within DEDUPE_DISTANCE_KM of each other. Per-day listings
+ * (all-day, or titled "Day 2") on consecutive local days are clustered as
+ * well, however long the gap overnight; separately timed shows with the same
+ * title (a nightly run) stay separate. Each cluster becomes a single event
+ * spanning all of its parts.
+ *
+ * The most relevant event of a cluster (see ranking.js) provides the UID,
+ * title and description; labels and entities are combined. Real and sample
+ * events are never merged with each other.
+ */
+
+const { haversineKm } = require('./geo');
+const { relevance } = require('./ranking');
+const { localDate, addDays } = require('./timezone');
+
+// Largest gap between two parts of the same event (covers per-day listings that end at 23:59:59)
+const DEDUPE_GAP_MINUTES = Number(process.env.DEDUPE_GAP_MINUTES) || 60;
+// Largest distance between two listings of the same event
+const DEDUPE_DISTANCE_KM = Number(process.env.DEDUPE_DISTANCE_KM) || 1;
+
+/**
+ * Title key for clustering: case, accents, punctuation and per-day suffixes
+ * ("Day 2") are ignored.
+ */
+function titleKey(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\bday\s*\d+\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const DAY_SUFFIX = /\s*[-–—:,(]*\s*day\s*\d+\)?\s*$/i;
+
+// "Festival – Day 2" → "Festival", for events merged from per-day listings
+function withoutDaySuffix(title) {
+  return title.replace(DAY_SUFFIX, '') || title;
+}
+
+// One day of a longer event: an all-day part or a "Day 2" listing
+function isDayListing(event) {
+  return Boolean(event.allDay) || DAY_SUFFIX.test(String(event.title || ''));
+}
+
+function placeKey(event) {
+  return event.location ? titleKey(event.location) : null;
+}
+
+// Whether two listings can be the same event by place; unknown places do not prevent a merge
+function samePlace(a, b) {
+  if (a.geo && b.geo) return haversineKm(a.geo, b.geo) <= DEDUPE_DISTANCE_KM;
+  const placeA = placeKey(a);
+  const placeB = placeKey(b);
+  return !placeA || !placeB || placeA === placeB;
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+/**
+ * Combines a cluster into one event with the cluster's full time span.
+ */
+function mergeCluster(cluster) {
+  const primary = [...cluster].sort((a, b) =>
+    relevance(b) - relevance(a) || new Date(a.startDate) - new Date(b.startDate)
+  )[0];
+  const start = Math.min(...cluster.map(event => new Date(event.startDate).getTime()));
+  const end = Math.max(...cluster.map(event => new Date(event.endDate || event.startDate).getTime()));
+  const entities = new Map();
+  cluster.forEach(event => (event.entities || []).forEach(entity => entities.set(`${entity.type}:${entity.name}`, entity)));
+
+  return {
+    ...primary,
+    title: cluster.some(event => event.title !== primary.title) ? withoutDaySuffix(primary.title) : primary.title,
+    startDate: new Date(start),
+    endDate: new Date(end),
+    allDay: cluster.every(event => event.allDay),
+    labels: unique(cluster.flatMap(event => event.labels || [])),
+    entities: [...entities.values()],
+    attendance: cluster.reduce((max, event) =>
+      typeof event.attendance === 'number' && (max === null || event.attendance > max) ? event.attendance : max, null),
+    mergedCount: cluster.length
+  };
+}
+
+/**
+ * Merges duplicate and split listings.
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - Timezone of the calendar, for
+ *   listings on consecutive days
+ * @returns {{events: Object[], merged: number}} The deduplicated events in
+ *   chronological order and how many listings were merged away
+ */
+function dedupeEvents(events, { timezone = 'UTC' } = {}) {
+  const groups = new Map();
+  events.forEach(event => {
+    const key = `${event.synthetic ? 'sample' : 'real'}|${titleKey(event.title)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
+  });
+
+  const gapMs = DEDUPE_GAP_MINUTES * 60 * 1000;
+  const result = [];
+
+  groups.forEach(group => {
+    const clusters = [];
+    group
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+      .forEach(event => {
+        const start = new Date(event.startDate).getTime();
+        const startDay = localDate(event.startDate, timezone);
+        // Open clusters that end close enough before this event starts, or
+        // per-day listings that end the day before, at the same place
+        const cluster = clusters.find(candidate =>
+          (start - candidate.end <= gapMs ||
+            (startDay === addDays(candidate.lastDay, 1) && candidate.events.every(isDayListing) && isDayListing(event))) &&
+          candidate.events.every(other => samePlace(other, event))
+        );
+        const end = new Date(event.endDate || event.startDate).getTime();
+        const lastDay = localDate(new Date(end), timezone);
+
+        if (cluster) {
+          cluster.events.push(event);
+          cluster.end = Math.max(cluster.end, end);
+          if (lastDay > cluster.lastDay) cluster.lastDay = lastDay;
+        } else {
+          clusters.push({ events: [event], end, lastDay });
+        }
+      });
+
+    clusters.forEach(cluster => {
+      result.push(cluster.events.length === 1 ? cluster.events[0] : mergeCluster(cluster.events));
+    });
+  });
+
+  result.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+  return { events: result, merged: events.length - result.length };
+}
+
+module.exports = {
+  dedupeEvents,
+  samePlace,
+  titleKey
+};
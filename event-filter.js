@@ -0,0 +1,60 @@
+/**
+ * Rank, Attendance and Keyword Filters
+ *
+ * Drops minor events (low PredictHQ rank or local rank, small predicted
+ * attendance) and matches keywords against the title and labels. PredictHQ
+ * applies the rank and attendance minimums in its query already; this is the
+ * post-fetch pass that covers every other source.
+ *
+ * Events that carry no rank or attendance (ICS feeds, local files, sample
+ * events) are kept by the minimums, since nothing is known about their size.
+ */
+
+/**
+ * Parses a comma-separated keyword list into lowercase keywords.
+ *
+ * @returns {string[]}
+ */
+function parseKeywords(value) {
+  if (!value) return [];
+  return String(value).split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+}
+
+function atLeast(value, minimum) {
+  return minimum === undefined || minimum === null || typeof value !== 'number' || value >= minimum;
+}
+
+/**
+ * Keeps events that meet the minimums and keyword lists. Keywords match
+ * case-insensitively anywhere in the title or a label.
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {Object} filters
+ * @param {number} [filters.minRank] - Minimum PredictHQ rank (0-100)
+ * @param {number} [filters.minLocalRank] - Minimum PredictHQ local rank (0-100)
+ * @param {number} [filters.minAttendance] - Minimum predicted attendance
+ * @param {string} [filters.keywords] - Comma-separated keywords; events must match one
+ * @param {string} [filters.excludeKeywords] - Comma-separated keywords; matching events are dropped
+ * @returns {Object[]}
+ */
+function filterByDetails(events, { minRank, minLocalRank, minAttendance, keywords, excludeKeywords }) {
+  const include = parseKeywords(keywords);
+  const exclude = parseKeywords(excludeKeywords);
+
+  return events.filter(event => {
+    if (!atLeast(event.rank, minRank) || !atLeast(event.localRank, minLocalRank) || !atLeast(event.attendance, minAttendance)) {
+      return false;
+    }
+
+    if (include.length === 0 && exclude.length === 0) return true;
+
+    const text = [event.title, ...(event.labels || [])].join('\n').toLowerCase();
+    if (exclude.some(keyword => text.includes(keyword))) return false;
+    return include.length === 0 || include.some(keyword => text.includes(keyword));
+  });
+}
+
+module.exports = {
+  parseKeywords,
+  filterByDetails
+};
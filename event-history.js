@@ -0,0 +1,169 @@
+/**
+ * Event History for Subscribed Feeds
+ *
+ * Calendar clients update an existing entry in place when an event keeps its
+ * UID and comes back with a higher SEQUENCE. This module compares the events
+ * of a feed refresh with the previous refresh and:
+ *
+ * - keeps SEQUENCE and LAST-MODIFIED for unchanged events
+ * - bumps SEQUENCE and LAST-MODIFIED when an event's details change
+ * - re-emits upcoming events that disappeared as STATUS:CANCELLED until
+ *   they are over, so subscribers drop them
+ * - versions recurring series (see series.js) the same way: a series keeps
+ *   its UID while its rule, exceptions and first start change
+ *
+ * The history is a plain object keyed by UID and can be stored as JSON.
+ */
+
+const crypto = require('crypto');
+const { collapseSeries } = require('./series');
+
+/**
+ * Hashes the details clients display, so a change in any of them bumps the
+ * sequence. For a series, DTSTART is its first start and the rule, EXDATEs
+ * and RDATEs are part of the details.
+ */
+function detailsHash(event) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([
+      event.title,
+      new Date(event.startDate).toISOString(),
+      new Date(event.endDate).toISOString(),
+      event.location || '',
+      event.description || '',
+      event.recurrence || null
+    ]))
+    .digest('hex');
+}
+
+function reviveEvent(stored) {
+  return {
+    ...stored,
+    startDate: new Date(stored.startDate),
+    endDate: new Date(stored.endDate)
+  };
+}
+
+/**
+ * Applies the previous history to a fresh list of normalized events.
+ *
+ * @param {Object[]} events - Normalized events of the current refresh
+ * @param {Object} [previous={}] - History returned by the previous refresh
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {{events: Object[], history: Object, cancelledCount: number}}
+ */
+function applyEventHistory(events, previous = {}, now = new Date()) {
+  const history = {};
+  const result = [];
+
+  events.forEach(event => {
+    const hash = detailsHash(event);
+    const entry = previous[event.uid];
+    let sequence = 0;
+    let lastModified = now.toISOString();
+
+    if (entry) {
+      if (entry.hash === hash && !entry.cancelled) {
+        sequence = entry.sequence;
+        lastModified = entry.lastModified;
+      } else {
+        sequence = entry.sequence + 1;
+      }
+    }
+
+    history[event.uid] = { hash, sequence, lastModified, event };
+    result.push({ ...event, sequence, lastModified: new Date(lastModified) });
+  });
+
+  let cancelledCount = 0;
+  Object.entries(previous).forEach(([uid, entry]) => {
+    if (history[uid] || entry.series) return;
+
+    const event = reviveEvent(entry.event);
+    // Events that are over simply fall out of the window
+    if (event.endDate < now) return;
+
+    const sequence = entry.cancelled ? entry.sequence : entry.sequence + 1;
+    const lastModified = entry.cancelled ? entry.lastModified : now.toISOString();
+
+    history[uid] = { ...entry, sequence, lastModified, cancelled: true };
+    result.push({ ...event, sequence, lastModified: new Date(lastModified), status: 'cancelled' });
+    cancelledCount++;
+  });
+
+  return { events: result, history, cancelledCount };
+}
+
+/**
+ * Events as published by the previous refresh, for a refresh whose sources
+ * failed: serving them leaves the history untouched, so a failing source
+ * does not cancel every event.
+ *
+ * @param {Object} [previous={}] - History returned by the previous refresh
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object[]}
+ */
+function replayEventHistory(previous = {}, now = new Date()) {
+  return Object.values(previous)
+    .filter(entry => !entry.series)
+    .map(entry => ({ entry, event: reviveEvent(entry.event) }))
+    .filter(({ event }) => event.endDate >= now)
+    .map(({ entry, event }) => ({
+      ...event,
+      sequence: entry.sequence,
+      lastModified: new Date(entry.lastModified),
+      ...(entry.cancelled ? { status: 'cancelled' } : {})
+    }))
+    .sort((a, b) => a.startDate - b.startDate);
+}
+
+/**
+ * Versions the recurring series of tracked events. Each series gets its own
+ * history entry (marked `series`); the occurrences are given its sequence as
+ * `seriesSequence` and `seriesLastModified`, which collapseSeries uses when
+ * the calendar is written.
+ *
+ * @param {Object[]} events - Events returned by applyEventHistory
+ * @param {Object} history - History returned by applyEventHistory
+ * @param {Object} [previous={}] - History of the previous refresh
+ * @param {string} [timezone='UTC'] - Calendar timezone, as used for the output
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {{events: Object[], history: Object}}
+ */
+function applySeriesHistory(events, history, previous = {}, timezone = 'UTC', now = new Date()) {
+  const versions = new Map();
+  const seriesHistory = { ...history };
+
+  collapseSeries(events, timezone).events
+    .filter(event => event.recurrence)
+    .forEach(series => {
+      const hash = detailsHash(series);
+      const entry = previous[series.uid];
+      let sequence = series.sequence || 0;
+      let lastModified = now.toISOString();
+
+      if (entry && entry.series) {
+        if (entry.hash === hash) {
+          sequence = entry.sequence;
+          lastModified = entry.lastModified;
+        } else {
+          sequence = Math.max(entry.sequence + 1, sequence);
+        }
+      }
+
+      seriesHistory[series.uid] = { hash, sequence, lastModified, series: true };
+      series.occurrenceUids.forEach(uid => versions.set(uid, { sequence, lastModified }));
+    });
+
+  return {
+    events: events.map(event => {
+      const version = versions.get(event.uid);
+      return version
+        ? { ...event, seriesSequence: version.sequence, seriesLastModified: new Date(version.lastModified) }
+        : event;
+    }),
+    history: seriesHistory
+  };
+}
+
+module.exports = { applyEventHistory, replayEventHistory, applySeriesHistory };
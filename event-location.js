@@ -0,0 +1,94 @@
+/**
+ * Event Location Normalizer
+ *
+ * Builds the location of a normalized event from the PredictHQ `geo`,
+ * `entities` and `location` fields (or the same fields produced by other
+ * providers). Only data present on the record is used: when nothing is
+ * known the location stays empty instead of guessing a country.
+ */
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+function countryName(countryCode) {
+  if (!countryCode) return null;
+  try {
+    return countryNames.of(String(countryCode).toUpperCase()) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extracts { lat, lon } from a GeoJSON point or a PredictHQ `[lon, lat]` pair.
+ */
+function extractCoordinates(event) {
+  const geometry = event.geo && event.geo.geometry;
+  const pair = geometry && geometry.type === 'Point' ? geometry.coordinates : event.location;
+
+  if (!Array.isArray(pair) || pair.length < 2) return null;
+
+  const [lon, lat] = pair.map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  return { lat, lon };
+}
+
+/**
+ * Normalizes the location of an event record.
+ *
+ * @param {Object} event - PredictHQ-style event record
+ * @returns {{location: string, venue: string|null, address: string|null, geo: {lat: number, lon: number}|null}}
+ */
+function normalizeLocation(event) {
+  const address = (event.geo && event.geo.address) || {};
+  const venue = (event.entities || []).find(entity => entity.type === 'venue') || null;
+  const venueName = venue && venue.name ? venue.name : null;
+
+  const formattedAddress = address.formatted_address ||
+    (venue && venue.formatted_address) ||
+    [address.locality, address.region, countryName(address.country_code || event.country)]
+      .filter(Boolean)
+      .join(', ') ||
+    null;
+
+  let location = formattedAddress || '';
+  if (venueName && !location.includes(venueName)) {
+    location = location ? `${venueName}, ${location}` : venueName;
+  }
+
+  return {
+    location,
+    venue: venueName,
+    address: formattedAddress,
+    geo: extractCoordinates(event)
+  };
+}
+
+// Radius in meters Apple Calendar uses for the map pin of a structured location
+const APPLE_LOCATION_RADIUS = 100;
+
+/**
+ * Builds the ical-generator location for a normalized event. With a title and
+ * coordinates, ical-generator emits LOCATION, GEO and X-APPLE-STRUCTURED-LOCATION;
+ * with coordinates only, just GEO.
+ */
+function icalLocation(event) {
+  const title = event.venue || event.location || null;
+
+  if (!title) {
+    return event.geo ? { geo: event.geo } : null;
+  }
+
+  return {
+    title,
+    address: event.address && event.address !== title ? event.address : undefined,
+    radius: event.geo ? APPLE_LOCATION_RADIUS : undefined,
+    geo: event.geo || undefined
+  };
+}
+
+module.exports = {
+  countryName,
+  normalizeLocation,
+  icalLocation,
+  extractCoordinates
+};
@@ -0,0 +1,150 @@
+/**
+ * Event Queries
+ *
+ * Text search, sorting and cursor pagination for the read-only events API
+ * (GET /api/events). Works on the normalized events of the calendar
+ * pipeline.
+ *
+ * Cursors are keyset cursors: they hold the sort key of the last event of a
+ * page, so the next page starts right after it even when events were added
+ * or dropped in between. A cursor also carries a fingerprint of the query and
+ * is only accepted for the same query and sort order.
+ */
+
+const crypto = require('crypto');
+const { relevance } = require('./ranking');
+
+// Sort orders: chronological, most relevant first, nearest first
+const SORT_ORDERS = ['start', 'rank', 'distance'];
+
+/**
+ * Keeps events containing every word of the query in the title,
+ * description, place, category, labels or performers (case-insensitive).
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {string} [query] - Search text, e.g. "jazz open air"
+ * @returns {Object[]}
+ */
+function searchEvents(events, query) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return events;
+
+  return events.filter(event => {
+    const text = [
+      event.title,
+      event.description,
+      event.location,
+      event.venue,
+      event.address,
+      event.category,
+      ...(event.labels || []),
+      ...(event.entities || []).map(entity => entity.name)
+    ].filter(Boolean).join('\n').toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+/**
+ * Sort key of an event: the primary value (smaller comes first), then the
+ * start time and UID so that the order is total.
+ */
+function sortKey(event, sort) {
+  const start = new Date(event.startDate).getTime();
+  const primary = sort === 'rank' ? -relevance(event)
+    : sort === 'distance' ? (typeof event.distanceKm === 'number' ? event.distanceKm : Number.MAX_VALUE)
+      : start;
+  return [primary, start, event.uid];
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+/**
+ * Sorts events by one of SORT_ORDERS. Events without a distance come last
+ * when sorting by distance.
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {string} [sort='start']
+ * @returns {Object[]} A sorted copy
+ */
+function sortEvents(events, sort = 'start') {
+  return events
+    .map(event => ({ event, key: sortKey(event, sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key))
+    .map(entry => entry.event);
+}
+
+/**
+ * Fingerprint of the query parameters that define the result list.
+ *
+ * @param {Object} params - Query parameters without cursor and limit
+ * @returns {string}
+ */
+function queryFingerprint(params) {
+  const sorted = Object.keys(params).sort()
+    .filter(name => params[name] !== undefined && params[name] !== '')
+    .map(name => [name, String(params[name])]);
+  return crypto.createHash('sha1').update(JSON.stringify(sorted)).digest('hex').slice(0, 12);
+}
+
+function encodeCursor(key, fingerprint) {
+  return Buffer.from(JSON.stringify({ k: key, f: fingerprint })).toString('base64url');
+}
+
+/**
+ * Reads a cursor of the query with this fingerprint.
+ *
+ * @param {string} cursor - `nextCursor` of a previous page
+ * @param {string} fingerprint - queryFingerprint of the request
+ * @returns {Array|null} Sort key to continue after, or null when the cursor
+ *   is malformed or belongs to a different query
+ */
+function decodeCursor(cursor, fingerprint) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const valid = decoded && decoded.f === fingerprint && Array.isArray(decoded.k) && decoded.k.length === 3;
+    return valid ? decoded.k : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sorts events and returns one page.
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {Object} options
+ * @param {string} [options.sort='start'] - One of SORT_ORDERS
+ * @param {number} [options.limit=20] - Events per page
+ * @param {Array} [options.after] - Sort key from decodeCursor; the page starts after it
+ * @param {string} options.fingerprint - queryFingerprint of the request, for the next cursor
+ * @returns {{events: Object[], nextCursor: string|null}}
+ */
+function paginateEvents(events, { sort = 'start', limit = 20, after, fingerprint }) {
+  const sorted = sortEvents(events, sort);
+  const remaining = after
+    ? sorted.filter(event => compareKeys(sortKey(event, sort), after) > 0)
+    : sorted;
+
+  const page = remaining.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    events: page,
+    nextCursor: remaining.length > limit ? encodeCursor(sortKey(last, sort), fingerprint) : null
+  };
+}
+
+module.exports = {
+  SORT_ORDERS,
+  searchEvents,
+  sortEvents,
+  queryFingerprint,
+  decodeCursor,
+  paginateEvents
+};
@@ -0,0 +1,347 @@
+/**
+ * Calendar Export Formats
+ *
+ * Renders a list of normalized events in the formats offered by the
+ * download and feed endpoints:
+ * - ics:  iCalendar (RFC 5545), the default
+ * - jcal: jCal (RFC 7265), converted from the iCalendar output so both stay identical
+ * - json: plain JSON with the normalized events
+ * - csv:  one row per event, for spreadsheets
+ * - rss:  RSS 2.0 feed of upcoming events
+ * - atom: Atom feed of upcoming events
+ *
+ * The format is chosen with a `format` query parameter or, failing that,
+ * the request's Accept header (see `negotiateFormat`).
+ */
+
+const { generateICalendar } = require('./utils');
+const { unfoldLines, parseLine, unescapeText } = require('./ics-parser');
+const { formatLocalISO, localDate, addDays, isValidTimezone } = require('./timezone');
+
+const EXPORT_FORMATS = {
+  ics: { contentType: 'text/calendar; charset=utf-8', mediaType: 'text/calendar', extension: 'ics' },
+  jcal: { contentType: 'application/calendar+json; charset=utf-8', mediaType: 'application/calendar+json', extension: 'jcal.json' },
+  json: { contentType: 'application/json; charset=utf-8', mediaType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', mediaType: 'text/csv', extension: 'csv' },
+  rss: { contentType: 'application/rss+xml; charset=utf-8', mediaType: 'application/rss+xml', extension: 'rss' },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', mediaType: 'application/atom+xml', extension: 'atom' }
+};
+
+/**
+ * Picks the export format of a request: the `format` query parameter when
+ * present, otherwise the best match of the Accept header (iCalendar for
+ * `*\/*` or no header).
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Format name (key of EXPORT_FORMATS)
+ */
+function negotiateFormat(req) {
+  if (req.query.format) return req.query.format;
+
+  const formats = Object.keys(EXPORT_FORMATS);
+  const mediaType = req.accepts(formats.map(format => EXPORT_FORMATS[format].mediaType));
+  return formats.find(format => EXPORT_FORMATS[format].mediaType === mediaType) || 'ics';
+}
+
+// --- jCal ---
+
+const DATE_TIME_PROPERTIES = ['DTSTART', 'DTEND', 'DTSTAMP', 'LAST-MODIFIED', 'CREATED', 'RECURRENCE-ID', 'EXDATE', 'RDATE', 'DUE'];
+const INTEGER_PROPERTIES = ['SEQUENCE', 'PRIORITY', 'PERCENT-COMPLETE', 'REPEAT'];
+const URI_PROPERTIES = ['URL', 'TZURL', 'ATTACH', 'SOURCE'];
+const MULTI_VALUE_PROPERTIES = ['CATEGORIES', 'RESOURCES'];
+
+function jcalDateTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) return value;
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const date = `${year}-${month}-${day}`;
+  return hour === undefined ? date : `${date}T${hour}:${minute}:${second}${utc || ''}`;
+}
+
+function jcalRecur(value) {
+  return value.split(';').reduce((recur, part) => {
+    const [key, rule] = part.split('=');
+    const name = key.toLowerCase();
+    if (name === 'until') {
+      recur.until = jcalDateTime(rule);
+    } else if (['count', 'interval', 'wkst'].includes(name)) {
+      recur[name] = name === 'wkst' ? rule : Number(rule);
+    } else {
+      const values = rule.split(',').map(item => (/^-?\d+$/.test(item) ? Number(item) : item));
+      recur[name] = values.length === 1 ? values[0] : values;
+    }
+    return recur;
+  }, {});
+}
+
+// Splits on commas that are not escaped
+function splitValues(value) {
+  return value.split(/(?<!\\),/).map(unescapeText);
+}
+
+function jcalProperty({ name, params, value }) {
+  const { VALUE: valueType, ...otherParams } = params;
+  const jcalParams = Object.fromEntries(
+    Object.entries(otherParams).map(([key, param]) => [key.toLowerCase(), param])
+  );
+  const property = name.toLowerCase();
+
+  if (valueType === 'DATE' || (DATE_TIME_PROPERTIES.includes(name) && !valueType)) {
+    const type = valueType === 'DATE' || /^\d{8}$/.test(value) ? 'date' : 'date-time';
+    return [property, jcalParams, type, ...value.split(',').map(jcalDateTime)];
+  }
+  if (valueType) {
+    return [property, jcalParams, valueType.toLowerCase(), value];
+  }
+  if (name === 'GEO') {
+    return [property, jcalParams, 'float', value.split(';').map(Number)];
+  }
+  if (name === 'TZOFFSETFROM' || name === 'TZOFFSETTO') {
+    return [property, jcalParams, 'utc-offset', value.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')];
+  }
+  if (name === 'RRULE') {
+    return [property, jcalParams, 'recur', jcalRecur(value)];
+  }
+  if (INTEGER_PROPERTIES.includes(name)) {
+    return [property, jcalParams, 'integer', Number(value)];
+  }
+  if (URI_PROPERTIES.includes(name)) {
+    return [property, jcalParams, 'uri', value];
+  }
+  if (name.startsWith('X-')) {
+    return [property, jcalParams, 'unknown', value];
+  }
+  if (MULTI_VALUE_PROPERTIES.includes(name)) {
+    return [property, jcalParams, 'text', ...splitValues(value)];
+  }
+  return [property, jcalParams, 'text', unescapeText(value)];
+}
+
+/**
+ * Converts iCalendar text to jCal (RFC 7265).
+ *
+ * @param {string} icsContent
+ * @returns {Array} jCal component, e.g. ["vcalendar", [...properties], [...components]]
+ */
+function icsToJCal(icsContent) {
+  const root = ['root', [], []];
+  const stack = [root];
+
+  unfoldLines(icsContent).forEach(line => {
+    const property = parseLine(line);
+    if (!property) return;
+
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = [property.value.toLowerCase(), [], []];
+      current[2].push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current[1].push(jcalProperty(property));
+    }
+  });
+
+  return root[2][0] || ['vcalendar', [], []];
+}
+
+// --- JSON and CSV ---
+
+// iCalendar status of an event (CONFIRMED or CANCELLED), whatever case the pipeline used
+function eventStatus(event) {
+  return String(event.status || 'CONFIRMED').toUpperCase();
+}
+
+function eventTimes(event, timezone) {
+  const zone = isValidTimezone(event.timezone) ? event.timezone : timezone;
+  if (event.allDay) {
+    // All-day ends are exclusive in the model; report the last day
+    const startDay = localDate(new Date(event.startDate), zone);
+    const endDay = addDays(localDate(new Date(event.endDate), zone), -1);
+    return { start: startDay, end: endDay < startDay ? startDay : endDay, timezone: zone };
+  }
+  return {
+    start: formatLocalISO(new Date(event.startDate), zone),
+    end: formatLocalISO(new Date(event.endDate), zone),
+    timezone: zone
+  };
+}
+
+function renderJSON(events, { name, timezone }) {
+  return JSON.stringify({
+    name,
+    timezone,
+    generatedAt: new Date().toISOString(),
+    events: events.map(event => ({ ...event, status: eventStatus(event) }))
+  }, null, 2);
+}
+
+const CSV_COLUMNS = ['uid', 'title', 'start', 'end', 'all_day', 'timezone', 'location', 'venue', 'address', 'latitude', 'longitude', 'distance_km', 'status', 'synthetic', 'category', 'rank', 'attendance', 'labels', 'url', 'description'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from evaluating text as a formula; numbers (e.g. a
+  // negative longitude) stay numbers
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCSV(events, { timezone }) {
+  const rows = events.map(event => {
+    const times = eventTimes(event, timezone);
+    return [
+      event.uid,
+      event.title,
+      times.start,
+      times.end,
+      event.allDay ? 'true' : 'false',
+      times.timezone,
+      event.location,
+      event.venue,
+      event.address,
+      event.geo ? event.geo.lat : null,
+      event.geo ? event.geo.lon : null,
+      event.distanceKm,
+      eventStatus(event),
+      event.synthetic ? 'true' : 'false',
+      event.category,
+      event.rank,
+      event.attendance,
+      (event.labels || []).join('; '),
+      event.url,
+      event.description
+    ].map(csvCell).join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// --- RSS and Atom ---
+
+function escapeXML(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Events that have not ended yet and are not cancelled, soonest first
+function upcomingEvents(events, now = new Date()) {
+  return events
+    .filter(event => eventStatus(event) !== 'CANCELLED' && new Date(event.endDate) >= now)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
+
+function eventSummary(event, timezone) {
+  const times = eventTimes(event, timezone);
+  const when = event.allDay
+    ? (times.start === times.end ? `${times.start} (all day)` : `${times.start} – ${times.end} (all day)`)
+    : `${times.start.replace('T', ' ').slice(0, 16)} – ${times.end.replace('T', ' ').slice(0, 16)} (${times.timezone})`;
+  return [when, event.location, event.description].filter(Boolean).join('\n');
+}
+
+function renderRSS(events, { name, timezone, link }) {
+  const items = upcomingEvents(events).map(event => [
+    '    <item>',
+    `      <title>${escapeXML(event.title)}</title>`,
+    `      <guid isPermaLink="false">${escapeXML(event.uid)}</guid>`,
+    event.url || link ? `      <link>${escapeXML(event.url || link)}</link>` : null,
+    event.category ? `      <category>${escapeXML(event.category)}</category>` : null,
+    `      <description>${escapeXML(eventSummary(event, timezone))}</description>`,
+    `      <pubDate>${new Date(event.lastModified || event.startDate).toUTCString()}</pubDate>`,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeXML(name)}</title>`,
+    `    <link>${escapeXML(link || '')}</link>`,
+    `    <description>${escapeXML(`Upcoming events: ${name}`)}</description>`,
+    `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+function renderAtom(events, { name, timezone, link }) {
+  const now = new Date().toISOString();
+  const entries = upcomingEvents(events).map(event => [
+    '  <entry>',
+    `    <id>urn:uid:${escapeXML(event.uid)}</id>`,
+    `    <title>${escapeXML(event.title)}</title>`,
+    `    <updated>${new Date(event.lastModified || now).toISOString()}</updated>`,
+    event.url || link ? `    <link href="${escapeXML(event.url || link)}"/>` : null,
+    event.category ? `    <category term="${escapeXML(event.category)}"/>` : null,
+    `    <content type="text">${escapeXML(eventSummary(event, timezone))}</content>`,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXML(link || `urn:your-ical:${name}`)}</id>`,
+    `  <title>${escapeXML(name)}</title>`,
+    `  <updated>${now}</updated>`,
+    link ? `  <link rel="self" href="${escapeXML(link)}"/>` : null,
+    '  <author><name>your iCal</name></author>',
+    ...entries,
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Renders events in an export format.
+ *
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object[]} events - Normalized events
+ * @param {Object} [options]
+ * @param {string} [options.name='Events'] - Calendar name
+ * @param {string} [options.timezone='UTC'] - Calendar timezone
+ * @param {string} [options.link] - Public URL of the calendar (RSS/Atom)
+ * @param {Object} [options.calendar] - Color, refresh interval and reminders for iCalendar output (see generateICalendar)
+ * @param {string} [options.icsContent] - Already generated iCalendar text to reuse
+ * @returns {string}
+ */
+function renderEvents(format, events, options = {}) {
+  const settings = {
+    name: options.name || 'Events',
+    timezone: isValidTimezone(options.timezone) ? options.timezone : 'UTC',
+    link: options.link
+  };
+  const ics = () => options.icsContent || generateICalendar(events, {
+    ...options.calendar,
+    name: options.name,
+    timezone: settings.timezone
+  });
+
+  switch (format) {
+    case 'jcal':
+      return JSON.stringify(icsToJCal(ics()));
+    case 'json':
+      return renderJSON(events, settings);
+    case 'csv':
+      return renderCSV(events, settings);
+    case 'rss':
+      return renderRSS(events, settings);
+    case 'atom':
+      return renderAtom(events, settings);
+    default:
+      return ics();
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  negotiateFormat,
+  renderEvents,
+  icsToJCal
+};
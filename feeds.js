@@ -0,0 +1,261 @@
+/**
+ * Saved Calendar Feeds
+ *
+ * A feed is a saved calendar request (location, categories, horizon) with a
+ * stable ID. Calendar apps subscribe to `/feeds/:id.ics` (or the equivalent
+ * `webcal://` URL) and the events are rebuilt on every poll, so subscribers
+ * stay up to date without re-importing.
+ *
+ * The feed ID is part of every subscription URL, so it does not prove
+ * ownership: deleting a feed takes the delete token returned when it was
+ * created, of which only a SHA-256 hash is stored.
+ *
+ * Feeds and the event history of each feed (see event-history.js) are kept
+ * in the configured storage backend (see storage.js). Feeds saved by earlier
+ * versions in FEEDS_FILE (default: data/feeds.json) and FEED_HISTORY_FILE
+ * (default: data/feed-history.json) are imported on first use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createSeed } = require('./synthetic');
+const { openCollection } = require('./storage');
+
+const FEEDS_FILE = process.env.FEEDS_FILE || path.join(__dirname, 'data', 'feeds.json');
+const FEED_HISTORY_FILE = process.env.FEED_HISTORY_FILE || path.join(__dirname, 'data', 'feed-history.json');
+
+let collections = null;
+let migration = null;
+
+// Opened on first use, after the server has loaded its environment
+function stores() {
+  if (!collections) {
+    collections = {
+      feeds: openCollection('feeds'),
+      histories: openCollection('feed-history')
+    };
+  }
+  return collections;
+}
+
+function hashDeleteToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Feed definition as returned by the API, without the hash of its delete token.
+ */
+function publicFeed(feed) {
+  const { deleteTokenHash, ...rest } = feed;
+  return rest;
+}
+
+/**
+ * Whether a token is the delete token of a feed. Feeds saved before delete
+ * tokens existed have none and can only be deleted with the admin token.
+ */
+function isDeleteToken(feed, token) {
+  return Boolean(token && feed.deleteTokenHash) &&
+    crypto.timingSafeEqual(hashDeleteToken(token), Buffer.from(feed.deleteTokenHash, 'hex'));
+}
+
+function readJSON(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Imports the feeds and histories of the old JSON files once. Entries that
+ * are already stored win, and the files are renamed afterwards so deleted
+ * feeds do not come back on the next start.
+ */
+function migrateLegacyFiles() {
+  if (!migration) {
+    migration = (async () => {
+      const legacy = [[FEEDS_FILE, stores().feeds], [FEED_HISTORY_FILE, stores().histories]];
+      for (const [filePath, collection] of legacy) {
+        if (!fs.existsSync(filePath)) continue;
+
+        const entries = Object.entries(readJSON(filePath));
+        for (const [id, value] of entries) {
+          if (await collection.get(id) === null) await collection.set(id, value);
+        }
+        try {
+          fs.renameSync(filePath, `${filePath}.migrated`);
+        } catch (error) {
+          console.log(`Could not rename ${path.basename(filePath)} after importing it:`, error.message);
+        }
+        console.log(`Imported ${entries.length} entries from ${path.basename(filePath)}`);
+      }
+    })().catch(error => {
+      // Try again on the next call
+      migration = null;
+      throw error;
+    });
+  }
+  return migration;
+}
+
+/**
+ * Saves a new feed definition and returns it with its generated ID.
+ *
+ * @param {Object} definition
+ * @param {string} definition.location - Location in format radius@latitude,longitude
+ * @param {string} [definition.categories] - Comma-separated list of event categories
+ * @param {number} [definition.weeks=4] - Horizon in weeks, counted from each poll
+ * @param {string} [definition.start] - Fixed first day instead of the day of each poll
+ * @param {string} [definition.end] - Fixed last day, inclusive
+ * @param {string} [definition.weekdays] - Only events on these weekdays, e.g. "sat,sun"
+ * @param {string} [definition.timeFrom] - Only events starting at or after this local time
+ * @param {string} [definition.timeTo] - Only events starting before this local time
+ * @param {number} [definition.minRank] - Minimum PredictHQ rank
+ * @param {number} [definition.minLocalRank] - Minimum PredictHQ local rank
+ * @param {number} [definition.minAttendance] - Minimum predicted attendance
+ * @param {string} [definition.keywords] - Keywords the title or a label must contain
+ * @param {string} [definition.excludeKeywords] - Keywords that drop an event
+ * @param {string} [definition.cityName] - City name used for generated events
+ * @param {string} [definition.name] - Display name of the feed
+ * @param {string} [definition.color] - Calendar color ("#RRGGBB")
+ * @param {number} [definition.refreshInterval] - Suggested refresh interval in minutes
+ * @param {Object<string, number>} [definition.reminders] - Reminder minutes per category ("*" for all others)
+ * @param {Object[]} [definition.sources] - Event source definitions (see providers/)
+ * @param {string} [definition.timezone] - IANA timezone (default: resolved from the coordinates)
+ * @param {string} [definition.mode='real'] - Sample event mode (see calendar.js)
+ * @param {string} [definition.seed] - Sample event seed; generated once so polls stay stable
+ * @param {number} [definition.maxEvents] - Maximum events per poll (default: MAX_EVENTS)
+ * @param {number} [definition.maxPerDay] - Maximum events per local day (default: no cap)
+ * @returns {Promise<Object>} The stored feed, including its `deleteToken`
+ */
+async function createFeed({
+  location,
+  categories,
+  weeks = 4,
+  start,
+  end,
+  weekdays,
+  timeFrom,
+  timeTo,
+  minRank,
+  minLocalRank,
+  minAttendance,
+  keywords,
+  excludeKeywords,
+  cityName,
+  name,
+  color,
+  refreshInterval,
+  reminders,
+  sources,
+  timezone,
+  mode = 'real',
+  seed,
+  maxEvents,
+  maxPerDay
+}) {
+  await migrateLegacyFiles();
+
+  const id = crypto.randomBytes(12).toString('base64url');
+  const deleteToken = crypto.randomBytes(18).toString('base64url');
+  const feed = {
+    id,
+    name: name || (cityName ? `${cityName} Events` : 'Events'),
+    location,
+    categories: categories || null,
+    weeks: Number(weeks),
+    start: start || null,
+    end: end || null,
+    weekdays: weekdays || null,
+    timeFrom: timeFrom || null,
+    timeTo: timeTo || null,
+    minRank: minRank ?? null,
+    minLocalRank: minLocalRank ?? null,
+    minAttendance: minAttendance ?? null,
+    keywords: keywords || null,
+    excludeKeywords: excludeKeywords || null,
+    cityName: cityName || null,
+    color: color || null,
+    refreshInterval: refreshInterval || null,
+    reminders: reminders || null,
+    sources: sources || null,
+    timezone: timezone || null,
+    mode,
+    seed: mode === 'real' ? null : (seed || createSeed()),
+    maxEvents: maxEvents || null,
+    maxPerDay: maxPerDay || null,
+    createdAt: new Date().toISOString(),
+    deleteTokenHash: hashDeleteToken(deleteToken).toString('hex')
+  };
+
+  await stores().feeds.set(id, feed, { name: feed.name, location: feed.location });
+
+  return { ...publicFeed(feed), deleteToken };
+}
+
+async function getFeed(id) {
+  await migrateLegacyFiles();
+  return stores().feeds.get(id);
+}
+
+async function listFeeds() {
+  await migrateLegacyFiles();
+  return stores().feeds.values();
+}
+
+/**
+ * Deletes a feed and its event history. Resolves to false when there was no such feed.
+ */
+async function deleteFeed(id) {
+  await migrateLegacyFiles();
+  if (!await stores().feeds.delete(id)) return false;
+
+  await stores().histories.delete(id);
+  return true;
+}
+
+/**
+ * Returns the event history of the feed's previous refresh.
+ */
+async function getFeedHistory(id) {
+  await migrateLegacyFiles();
+  return (await stores().histories.get(id)) || {};
+}
+
+async function saveFeedHistory(id, history) {
+  await stores().histories.set(id, history);
+}
+
+/**
+ * Builds the public subscription URLs for a feed.
+ *
+ * @param {Object} feed - Stored feed
+ * @param {string} baseUrl - Public base URL of the server, e.g. https://example.com
+ * @param {string} [apiKey] - API key added to the ICS URLs, for calendar apps
+ *   that cannot send headers; CalDAV clients send it as their password instead
+ * @returns {{feedUrl: string, webcalUrl: string, caldavUrl: string}}
+ */
+function feedUrls(feed, baseUrl, apiKey) {
+  const query = apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : '';
+  const feedUrl = `${baseUrl}/feeds/${feed.id}.ics${query}`;
+  return {
+    feedUrl,
+    webcalUrl: feedUrl.replace(/^https?:\/\//, 'webcal://'),
+    // Read-only CalDAV principal; the calendar itself is at events/
+    caldavUrl: `${baseUrl}/caldav/${feed.id}/`
+  };
+}
+
+module.exports = {
+  createFeed,
+  getFeed,
+  listFeeds,
+  deleteFeed,
+  getFeedHistory,
+  saveFeedHistory,
+  publicFeed,
+  isDeleteToken,
+  feedUrls
+};
@@ -0,0 +1,96 @@
+/**
+ * Offline City Gazetteer
+ *
+ * Searches the GeoNames cities with at least 1000 inhabitants (bundled by the
+ * all-the-cities package) by name. Used for location search when Nominatim
+ * is unreachable or turned off, so the search keeps working offline.
+ *
+ * The dataset is loaded on the first search (about 135,000 cities) and kept
+ * in memory afterwards.
+ */
+
+const { resolveTimezone } = require('./timezone');
+const { countryName } = require('./event-location');
+
+let cities = null;
+
+/**
+ * Search key of a name: case and accents are ignored.
+ */
+function searchKey(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function loadCities() {
+  if (!cities) {
+    cities = require('all-the-cities').map(city => ({
+      id: city.cityId,
+      name: city.name,
+      keys: [city.name, ...city.altName.split(',')].map(searchKey).filter(Boolean),
+      countryCode: city.country,
+      featureCode: city.featureCode,
+      population: city.population,
+      lat: city.loc.coordinates[1],
+      lon: city.loc.coordinates[0]
+    }));
+    console.log(`Loaded ${cities.length} cities into the gazetteer`);
+  }
+  return cities;
+}
+
+/**
+ * Finds cities whose name (or an alternate name) starts with the query.
+ * A query such as "Springfield, US" also matches on the country code or
+ * country name after the comma. Exact matches come first, then larger cities.
+ *
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit=6] - Maximum number of results
+ * @returns {Object[]} Places in the same shape as the geocoder results
+ */
+function searchGazetteer(query, { limit = 6 } = {}) {
+  const [namePart, ...rest] = String(query).split(',');
+  const name = searchKey(namePart);
+  const country = searchKey(rest.join(' '));
+  if (!name) return [];
+
+  const all = loadCities();
+  // Country codes matching the part after the comma, by code or name
+  const countryCodes = country
+    ? new Set([...new Set(all.map(city => city.countryCode))].filter(code =>
+      searchKey(code) === country || searchKey(countryName(code)).startsWith(country)))
+    : null;
+
+  const matches = all
+    .map(city => {
+      if (countryCodes && !countryCodes.has(city.countryCode)) return null;
+      if (city.keys.includes(name)) return { city, exact: true };
+      if (city.keys.some(key => key.startsWith(name))) return { city, exact: false };
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => Number(b.exact) - Number(a.exact) || b.city.population - a.city.population)
+    .slice(0, limit);
+
+  return matches.map(({ city }) => ({
+    id: `geonames:${city.id}`,
+    name: city.name,
+    displayName: [city.name, countryName(city.countryCode)].filter(Boolean).join(', '),
+    type: city.featureCode === 'PPLC' ? 'capital' : 'city',
+    lat: city.lat,
+    lon: city.lon,
+    countryCode: city.countryCode,
+    timezone: resolveTimezone(city.lat, city.lon),
+    population: city.population,
+    source: 'gazetteer'
+  }));
+}
+
+module.exports = {
+  searchGazetteer
+};
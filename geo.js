@@ -0,0 +1,125 @@
+/**
+ * Geo Helpers
+ *
+ * Parsing of `radius@latitude,longitude` locations (the PredictHQ
+ * `location.within` notation), coordinate validation and great-circle
+ * distances, shared by the API handlers, the event pipeline and providers.
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+// Largest search radius of new requests; wider searches are not local and
+// only spend the provider quota. Feeds and jobs saved before the limit are
+// searched within it.
+const MAX_RADIUS_KM = 1000;
+
+const UNIT_TO_KM = {
+  km: 1,
+  m: 0.001,
+  mi: 1.609344,
+  ft: 0.0003048
+};
+
+/**
+ * Parses a radius like "10km", "5mi", "500m" or "25" (kilometres).
+ *
+ * @param {string|number} value
+ * @returns {{value: number, unit: string, km: number}|null} null when
+ *   malformed or not positive
+ */
+function parseRadius(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(km|mi|m|ft)?\s*$/i.exec(String(value));
+  if (!match) return null;
+
+  const amount = Number(match[1]);
+  const unit = (match[2] || 'km').toLowerCase();
+  if (!(amount > 0)) return null;
+
+  return { value: amount, unit, km: amount * UNIT_TO_KM[unit] };
+}
+
+function isValidCoordinates(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) &&
+    lat >= -90 && lat <= 90 &&
+    lon >= -180 && lon <= 180;
+}
+
+/**
+ * Parses a location in format radius@latitude,longitude. Radii above
+ * MAX_RADIUS_KM are cut to it.
+ *
+ * @param {string} location - e.g. "50km@52.5200,13.4050"
+ * @returns {{radius: string, radiusKm: number, lat: number, lon: number}|null} null when malformed
+ */
+function parseLocation(location) {
+  if (typeof location !== 'string') return null;
+
+  const [radiusPart, coords, ...rest] = location.split('@');
+  if (!coords || rest.length > 0) return null;
+
+  const radius = parseRadius(radiusPart);
+  const parts = coords.split(',');
+  if (!radius || parts.length !== 2 || parts.some(part => part.trim() === '')) return null;
+
+  const [lat, lon] = parts.map(Number);
+  if (!isValidCoordinates(lat, lon)) return null;
+
+  if (radius.km > MAX_RADIUS_KM) {
+    return { radius: `${MAX_RADIUS_KM}km`, radiusKm: MAX_RADIUS_KM, lat, lon };
+  }
+  return {
+    radius: `${radius.value}${radius.unit}`,
+    radiusKm: radius.km,
+    lat,
+    lon
+  };
+}
+
+/**
+ * Great-circle distance between two points in kilometres (haversine).
+ */
+function haversineKm(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Annotates normalized events with `distanceKm` from the center and drops
+ * those outside the radius. Events without coordinates are kept with a
+ * `distanceKm` of null.
+ *
+ * @param {Object[]} events - Normalized events (with `geo`)
+ * @param {{lat: number, lon: number}} center
+ * @param {number} radiusKm
+ * @returns {Object[]}
+ */
+function filterByDistance(events, center, radiusKm) {
+  return events
+    .map(event => ({
+      ...event,
+      distanceKm: event.geo ? Math.round(haversineKm(center, event.geo) * 10) / 10 : null
+    }))
+    .filter(event => event.distanceKm === null || event.distanceKm <= radiusKm);
+}
+
+/**
+ * Sorts events by distance, nearest first; events without a distance go last.
+ */
+function sortByDistance(events) {
+  const distance = event => (typeof event.distanceKm === 'number' ? event.distanceKm : Infinity);
+  return [...events].sort((a, b) => distance(a) - distance(b));
+}
+
+module.exports = {
+  MAX_RADIUS_KM,
+  parseRadius,
+  parseLocation,
+  isValidCoordinates,
+  haversineKm,
+  filterByDistance,
+  sortByDistance
+};
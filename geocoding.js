@@ -0,0 +1,144 @@
+/**
+ * Geocoding
+ *
+ * Location search for the frontend, proxied through the server so that
+ * Nominatim's usage policy is followed in one place:
+ * - requests identify the application with NOMINATIM_USER_AGENT (and
+ *   NOMINATIM_EMAIL when set)
+ * - at most one request per second is sent; a search that would have to
+ *   wait longer than NOMINATIM_MAX_WAIT_MS uses the gazetteer instead
+ * - results are cached for GEOCODE_CACHE_TTL seconds (default: 7 days) in
+ *   the store selected by CACHE_STORE (see cache.js)
+ *
+ * When Nominatim fails or GEOCODER is set to "gazetteer", the bundled
+ * offline gazetteer (see gazetteer.js) answers instead. Every result carries
+ * the timezone and country code of the place.
+ */
+
+const axios = require('axios');
+const path = require('path');
+const { createCache, createMemoryStore, createFileStore, cacheKey } = require('./cache');
+const { resolveTimezone } = require('./timezone');
+const { searchGazetteer } = require('./gazetteer');
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+const DEFAULT_USER_AGENT = 'your-ical-calendar-generator/1.0';
+const NOMINATIM_INTERVAL_MS = 1000;
+const DEFAULT_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Result types kept from Nominatim: settlements, not streets or buildings
+const PLACE_TYPES = ['city', 'town', 'village', 'municipality', 'administrative'];
+
+let geocodeCache = null;
+let queue = Promise.resolve();
+let queued = 0;
+let lastRequestAt = 0;
+
+function cache() {
+  if (!geocodeCache) {
+    const ttl = process.env.GEOCODE_CACHE_TTL;
+    geocodeCache = createCache({
+      store: process.env.CACHE_STORE === 'file'
+        ? createFileStore(path.join(process.env.CACHE_DIR || path.join(__dirname, 'data', 'cache'), 'geocode'))
+        : createMemoryStore(),
+      ttlSeconds: ttl !== undefined && ttl !== '' ? Number(ttl) : DEFAULT_CACHE_TTL_SECONDS
+    });
+  }
+  return geocodeCache;
+}
+
+/**
+ * Runs Nominatim requests one after another, each starting at least one
+ * second after the previous one. Rejects right away when the queue is too
+ * long to start within NOMINATIM_MAX_WAIT_MS.
+ */
+function throttled(request) {
+  const maxWait = Number(process.env.NOMINATIM_MAX_WAIT_MS) || 3000;
+  if (queued * NOMINATIM_INTERVAL_MS > maxWait) {
+    return Promise.reject(new Error('Nominatim rate limit reached'));
+  }
+
+  queued++;
+  const run = queue.then(async () => {
+    const wait = lastRequestAt + NOMINATIM_INTERVAL_MS - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    lastRequestAt = Date.now();
+    queued--;
+    return request();
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+function toPlace(item) {
+  const lat = Number(item.lat);
+  const lon = Number(item.lon);
+  const countryCode = item.address && item.address.country_code;
+
+  return {
+    id: `osm:${item.osm_type}:${item.osm_id}`,
+    name: item.name || item.display_name.split(',')[0],
+    displayName: item.display_name,
+    type: item.addresstype || item.type,
+    lat,
+    lon,
+    countryCode: countryCode ? countryCode.toUpperCase() : null,
+    timezone: resolveTimezone(lat, lon),
+    source: 'nominatim'
+  };
+}
+
+async function queryNominatim(query, { limit, language }) {
+  const params = {
+    q: query,
+    format: 'jsonv2',
+    addressdetails: 1,
+    // Ask for more than needed, since streets and buildings are dropped
+    limit: Math.min(limit * 2, 40)
+  };
+  if (language) params['accept-language'] = language;
+  if (process.env.NOMINATIM_EMAIL) params.email = process.env.NOMINATIM_EMAIL;
+
+  const response = await axios.get(process.env.NOMINATIM_URL || NOMINATIM_URL, {
+    params,
+    headers: { 'User-Agent': process.env.NOMINATIM_USER_AGENT || DEFAULT_USER_AGENT },
+    timeout: 5000
+  });
+
+  return (Array.isArray(response.data) ? response.data : [])
+    .filter(item => PLACE_TYPES.some(type => (item.type || '').includes(type)) || item.category === 'place')
+    .slice(0, limit)
+    .map(toPlace);
+}
+
+/**
+ * Searches places by name.
+ *
+ * @param {string} query - Place name, e.g. "Berlin" or "Springfield, US"
+ * @param {Object} [options]
+ * @param {number} [options.limit=6] - Maximum number of results
+ * @param {string} [options.language] - Preferred language of the names (Accept-Language)
+ * @returns {Promise<{results: Object[], source: string, cache: Object|null}>}
+ *   `source` is "nominatim" or "gazetteer"; `cache` is set for Nominatim results
+ */
+async function geocode(query, { limit = 6, language } = {}) {
+  const normalized = query.trim().replace(/\s+/g, ' ');
+
+  if (process.env.GEOCODER !== 'gazetteer') {
+    try {
+      const { value, hit, cachedAt, expiresAt } = await cache().getOrFetch(
+        cacheKey('nominatim', { q: normalized.toLowerCase(), limit, language: language || null }),
+        () => throttled(() => queryNominatim(normalized, { limit, language }))
+      );
+      return { results: value, source: 'nominatim', cache: { hit, cachedAt, expiresAt } };
+    } catch (error) {
+      console.log('Nominatim search failed, using the offline gazetteer:', error.message);
+    }
+  }
+
+  return { results: searchGazetteer(normalized, { limit }), source: 'gazetteer', cache: null };
+}
+
+module.exports = {
+  geocode
+};
@@ -0,0 +1,362 @@
+/**
+ * iCalendar Parser
+ *
+ * Minimal RFC 5545 parser for reading VEVENTs from .ics files and feeds.
+ * Parsed events are converted to the PredictHQ-style record shape so they
+ * can go through `normalizeEvents` like any other provider result.
+ *
+ * Recurring events (RRULE, RDATE, EXDATE and RECURRENCE-ID overrides) are
+ * expanded into one record per occurrence when a date window is given.
+ */
+
+const { zonedTimeToDate, isValidTimezone, addDays, localTimeToDate, formatLocalISO, localDate } = require('./timezone');
+const { parseRRule, expandRRule } = require('./recurrence');
+const { resolveCategory } = require('./categories');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most occurrences expanded per recurring event
+const MAX_OCCURRENCES = 1000;
+
+// Most rule periods walked per calendar, across all of its recurring events
+const MAX_EXPANSION_PERIODS = 200000;
+
+/**
+ * Unfolds continuation lines and splits the content into content lines.
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Splits a comma-separated text list (CATEGORIES) on commas that are not
+ * escaped, then unescapes each value, so "Rock\, Pop" stays one value.
+ */
+function splitTextList(value) {
+  const parts = [];
+  let start = 0;
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\') {
+      i++;
+    } else if (value[i] === ',') {
+      parts.push(value.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(value.slice(start));
+  return parts.map(unescapeText);
+}
+
+/**
+ * Parses a content line like `DTSTART;TZID=Europe/Berlin:20250101T100000`
+ * into `{ name, params, value }`.
+ */
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parses a DATE or DATE-TIME property value. DATE values are returned as
+ * calendar date strings since they have no timezone of their own.
+ *
+ * @returns {{date: Date, day: string|null, allDay: boolean, timezone: string|null}|null}
+ */
+function parseDateValue(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (hour === undefined || params.VALUE === 'DATE') {
+    const dayString = `${year}-${month}-${day}`;
+    return { date: new Date(`${dayString}T00:00:00Z`), day: dayString, allDay: true, timezone: null };
+  }
+  if (utc || !isValidTimezone(params.TZID)) {
+    // Floating times and unknown TZIDs are interpreted as UTC
+    return { date: new Date(Date.UTC(year, month - 1, day, hour, minute, second)), day: null, allDay: false, timezone: null };
+  }
+  return {
+    date: zonedTimeToDate(+year, +month, +day, +hour, +minute, +second, params.TZID),
+    day: null,
+    allDay: false,
+    timezone: params.TZID
+  };
+}
+
+/**
+ * Parses iCalendar text into a list of VEVENT components.
+ * Each component maps property names to arrays of `{ params, value }`.
+ *
+ * @param {string} text - iCalendar content
+ * @returns {Object[]} Parsed VEVENT components
+ */
+function parseICS(text) {
+  const components = [];
+  const stack = [];
+
+  unfoldLines(text).forEach(line => {
+    const property = parseLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      stack.push({ type: property.value.toUpperCase(), properties: {} });
+      return;
+    }
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component && component.type === 'VEVENT') {
+        components.push(component.properties);
+      }
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+    if (!current) return;
+    (current.properties[property.name] = current.properties[property.name] || []).push({
+      params: property.params,
+      value: property.value
+    });
+  });
+
+  return components;
+}
+
+function firstValue(component, name) {
+  return component[name] ? component[name][0] : null;
+}
+
+/**
+ * Parses a DURATION value ("PT1H30M", "P2D", "P1W") into milliseconds.
+ *
+ * @returns {number|null}
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+// Compact, timezone-independent form of an occurrence start, used in occurrence IDs
+function occurrenceStamp(parsed) {
+  return parsed.allDay
+    ? parsed.day.replace(/-/g, '')
+    : parsed.date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// All values of a multi-valued date property (EXDATE, RDATE)
+function dateValues(component, name) {
+  return (component[name] || []).flatMap(property =>
+    property.value.split(',').map(value => parseDateValue(value, property.params)).filter(Boolean)
+  );
+}
+
+/**
+ * Converts a parsed VEVENT into a PredictHQ-style event record.
+ */
+function toEventRecord(component) {
+  const summary = firstValue(component, 'SUMMARY');
+  const description = firstValue(component, 'DESCRIPTION');
+  const location = firstValue(component, 'LOCATION');
+  const geo = firstValue(component, 'GEO');
+  const categories = firstValue(component, 'CATEGORIES');
+  const url = firstValue(component, 'URL');
+  const uid = firstValue(component, 'UID');
+  const dtstart = firstValue(component, 'DTSTART');
+  const dtend = firstValue(component, 'DTEND');
+  const duration = firstValue(component, 'DURATION');
+  const recurrenceId = firstValue(component, 'RECURRENCE-ID');
+  const status = firstValue(component, 'STATUS');
+  const transparency = firstValue(component, 'TRANSP');
+
+  const start = dtstart && parseDateValue(dtstart.value, dtstart.params);
+  if (!start) return null;
+  let end = dtend && parseDateValue(dtend.value, dtend.params);
+  const durationMs = !end && duration ? parseDuration(duration.value) : null;
+  if (durationMs !== null) {
+    const endDate = new Date(start.date.getTime() + durationMs);
+    end = { date: endDate, day: start.allDay ? endDate.toISOString().slice(0, 10) : null };
+  }
+
+  // A modified occurrence gets the ID of the occurrence it replaces
+  const override = recurrenceId && parseDateValue(recurrenceId.value, recurrenceId.params);
+  const record = {
+    id: uid ? (override ? `${uid.value}-${occurrenceStamp(override)}` : uid.value) : undefined,
+    title: summary ? unescapeText(summary.value) : 'Event',
+    all_day: start.allDay,
+    // Free/busy: cancelled and transparent events do not block time; all-day
+    // events only when explicitly marked OPAQUE
+    busy: !(status && status.value.toUpperCase() === 'CANCELLED') &&
+      (transparency ? transparency.value.toUpperCase() !== 'TRANSPARENT' : !start.allDay)
+  };
+
+  if (start.allDay) {
+    // All-day events keep their calendar dates (DTEND is exclusive)
+    record.start = start.day;
+    record.end = end && end.day ? end.day : addDays(start.day, 1);
+  } else {
+    record.start = start.date.toISOString();
+    record.end = (end ? end.date : start.date).toISOString();
+  }
+  if (start.timezone) record.timezone = start.timezone;
+
+  if (description) record.description = unescapeText(description.value);
+  if (categories) {
+    // The first category is the event category (e.g. "Music" is read as
+    // concerts, see categories.js), the rest are labels
+    const [category, ...labels] = splitTextList(categories.value).map(value => value.trim());
+    record.category = resolveCategory(category, 'ics') || category.toLowerCase();
+    if (labels.length > 0) record.labels = labels;
+  }
+  if (url) record.url = url.value;
+  if (location) record.geo = { address: { formatted_address: unescapeText(location.value) } };
+  if (geo) {
+    const [lat, lon] = geo.value.split(/[;,]/).map(Number);
+    if (!isNaN(lat) && !isNaN(lon)) record.location = [lon, lat];
+  }
+
+  return record;
+}
+
+/**
+ * Expands a recurring VEVENT into one record per occurrence in a window.
+ * Occurrences keep the local time of DTSTART in its timezone.
+ */
+function expandRecurringEvent(component, record, window, overrides, budget) {
+  const dtstart = firstValue(component, 'DTSTART');
+  const start = parseDateValue(dtstart.value, dtstart.params);
+  const uid = firstValue(component, 'UID');
+  const rrule = firstValue(component, 'RRULE');
+  const rule = rrule ? parseRRule(rrule.value) : null;
+
+  const timezone = start.timezone || 'UTC';
+  const time = start.allDay ? null : formatLocalISO(start.date, timezone).slice(11);
+  const startDay = start.allDay ? start.day : localDate(start.date, timezone);
+  const toInstant = day => (start.allDay ? new Date(`${day}T00:00:00Z`) : localTimeToDate(`${day}T${time}`, timezone));
+  const durationMs = Math.max(0, (record.all_day
+    ? new Date(`${record.end}T00:00:00Z`) - new Date(`${record.start}T00:00:00Z`)
+    : new Date(record.end) - new Date(record.start)));
+
+  // Widen the window by the event length and a day, so running and all-day occurrences are not lost
+  const fromDay = addDays(new Date(window.start.getTime() - durationMs).toISOString(), -1);
+  const before = new Date(window.end.getTime() + DAY_MS);
+
+  let until = null;
+  if (rule && rule.until) {
+    const parsed = parseDateValue(rule.until, { TZID: start.timezone });
+    if (parsed) {
+      // A date-only UNTIL on a timed event includes that whole day
+      until = parsed.allDay && !start.allDay ? new Date(parsed.date.getTime() + DAY_MS - 1) : parsed.date;
+    }
+  }
+
+  const occurrences = new Map();
+  const addOccurrence = instant => occurrences.set(instant.getTime(), instant);
+  if (rule) {
+    expandRRule(rule, startDay, { toInstant, before, fromDay, until, limit: MAX_OCCURRENCES, budget })
+      .forEach(day => addOccurrence(toInstant(day)));
+  } else {
+    addOccurrence(start.date);
+  }
+  dateValues(component, 'RDATE')
+    .filter(parsed => parsed.date < before)
+    .forEach(parsed => addOccurrence(parsed.allDay ? toInstant(parsed.day) : parsed.date));
+
+  const excluded = dateValues(component, 'EXDATE');
+  const isExcluded = instant => excluded.some(parsed => (parsed.allDay
+    ? parsed.day === (start.allDay ? instant.toISOString().slice(0, 10) : localDate(instant, timezone))
+    : parsed.date.getTime() === instant.getTime()));
+
+  return [...occurrences.values()]
+    .sort((a, b) => a - b)
+    .filter(instant => !isExcluded(instant))
+    .map(instant => {
+      const day = start.allDay ? instant.toISOString().slice(0, 10) : null;
+      const id = uid ? `${uid.value}-${occurrenceStamp({ allDay: start.allDay, day, date: instant })}` : undefined;
+      return {
+        ...record,
+        id,
+        start: start.allDay ? day : instant.toISOString(),
+        end: start.allDay
+          ? addDays(day, Math.max(1, Math.round(durationMs / DAY_MS)))
+          : new Date(instant.getTime() + durationMs).toISOString()
+      };
+    })
+    // Occurrences with a modified version are replaced by it
+    .filter(occurrence => !(occurrence.id && overrides.has(occurrence.id)));
+}
+
+/**
+ * Parses iCalendar text into PredictHQ-style event records. With a date
+ * window, recurring events are expanded into one record per occurrence
+ * (occurrence IDs are the UID plus the occurrence start) and modified
+ * occurrences replace the ones they override; without a window, every
+ * VEVENT gives one record.
+ *
+ * @param {string} text - iCalendar content
+ * @param {Object} [window]
+ * @param {Date} [window.start] - Start of the window to expand recurring events in
+ * @param {Date} [window.end] - End of the window
+ * @returns {Object[]} Event records
+ */
+function parseICSEvents(text, window = {}) {
+  const components = parseICS(text);
+  const records = components.map(component => ({ component, record: toEventRecord(component) }))
+    .filter(({ record }) => record);
+  if (!window.start || !window.end) {
+    return records.map(({ record }) => record);
+  }
+
+  // IDs of the occurrences that have a modified version of their own
+  const overrides = new Set(records
+    .filter(({ component }) => firstValue(component, 'RECURRENCE-ID'))
+    .map(({ record }) => record.id)
+    .filter(Boolean));
+
+  const budget = { periods: MAX_EXPANSION_PERIODS };
+  const expanded = records.flatMap(({ component, record }) => {
+    const recurring = !firstValue(component, 'RECURRENCE-ID') && (component.RRULE || component.RDATE);
+    return recurring ? expandRecurringEvent(component, record, window, overrides, budget) : [record];
+  });
+  if (budget.periods <= 0) {
+    console.log(`Recurrence expansion stopped after ${MAX_EXPANSION_PERIODS} periods; some occurrences are missing`);
+  }
+  return expanded;
+}
+
+module.exports = {
+  parseICS,
+  parseICSEvents,
+  parseDateValue,
+  parseDuration,
+  unfoldLines,
+  parseLine,
+  unescapeText
+};
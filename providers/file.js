@@ -0,0 +1,64 @@
+/**
+ * Local File Event Provider
+ *
+ * Reads events from a local .json or .ics file, which makes it possible to
+ * build calendars from curated event lists and to test without the real API.
+ *
+ * JSON files contain either an array of PredictHQ-style records or an object
+ * with a `results` array (the shape of a saved PredictHQ response). Paths are
+ * resolved inside SOURCES_DIR (default: data/sources) and may not escape it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseICSEvents } = require('../ics-parser');
+const { filterRecords } = require('./query');
+
+const SOURCES_DIR = process.env.SOURCES_DIR || path.join(__dirname, '..', 'data', 'sources');
+
+function resolveSourcePath(file) {
+  const baseDir = path.resolve(SOURCES_DIR);
+  const resolved = path.resolve(baseDir, file);
+  if (resolved !== baseDir && !resolved.startsWith(baseDir + path.sep)) {
+    throw new Error(`Source file must be inside ${SOURCES_DIR}`);
+  }
+  return resolved;
+}
+
+function readRecords(filePath, query) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.ics') {
+    // Recurring events are expanded within the requested range
+    return parseICSEvents(content, { start: query.start, end: query.end });
+  }
+
+  const data = JSON.parse(content);
+  return Array.isArray(data) ? data : (data.results || []);
+}
+
+/**
+ * Creates a local file provider.
+ *
+ * @param {Object} options
+ * @param {string} options.path - File path relative to SOURCES_DIR
+ */
+function createFileProvider(options = {}) {
+  if (!options.path) {
+    throw new Error('File source requires a path');
+  }
+
+  const filePath = resolveSourcePath(options.path);
+
+  return {
+    name: `file:${options.path}`,
+
+    async fetchEvents(query) {
+      const events = filterRecords(readRecords(filePath, query), query);
+      console.log(`Loaded ${events.length} events from ${options.path}`);
+      return events;
+    }
+  };
+}
+
+module.exports = { createFileProvider };
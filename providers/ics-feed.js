@@ -0,0 +1,107 @@
+/**
+ * Remote ICS Feed Provider
+ *
+ * Downloads a public iCalendar feed (e.g. a venue's or club's calendar) and
+ * returns its events for the requested date range.
+ *
+ * Feeds named in API requests are created with `publicOnly`: they may only
+ * be fetched from hosts that resolve to public addresses, or from the hosts
+ * listed in ICS_ALLOWED_HOSTS, so that clients cannot make the server fetch
+ * from its internal network. Redirects are checked the same way.
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+const { parseICSEvents } = require('../ics-parser');
+const { filterRecords } = require('./query');
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 6) {
+    // IPv4-mapped addresses, e.g. ::ffff:127.0.0.1
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+    return PRIVATE_RANGES.check(address, 'ipv6');
+  }
+  return family === 4 ? PRIVATE_RANGES.check(address, 'ipv4') : true;
+}
+
+function allowedHosts() {
+  return (process.env.ICS_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Checks a host before any connection is made: hosts in ICS_ALLOWED_HOSTS
+ * pass, IP literals must be public. Host names are checked when resolved.
+ *
+ * @returns {boolean} Whether the resolved addresses still need checking
+ */
+function checkHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts().includes(host)) return false;
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`ICS source host ${host} is not a public address`);
+  }
+  return true;
+}
+
+// DNS lookup that refuses private addresses, used for requests and redirects
+async function publicLookup(hostname, options) {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+  if (checkHost(hostname) && addresses.some(entry => isPrivateAddress(entry.address))) {
+    throw new Error(`ICS source host ${hostname} does not resolve to a public address`);
+  }
+  return addresses;
+}
+
+/**
+ * Creates a remote ICS feed provider.
+ *
+ * @param {Object} options
+ * @param {string} options.url - http(s) or webcal URL of the feed
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+ * @param {boolean} [options.publicOnly=false] - Only fetch from public hosts or ICS_ALLOWED_HOSTS
+ */
+function createICSFeedProvider(options = {}) {
+  const url = (options.url || '').replace(/^webcal:\/\//i, 'https://');
+  if (!/^https?:\/\//i.test(url)) {
+    throw new Error('ICS source requires an http(s) or webcal URL');
+  }
+
+  return {
+    name: `ics:${url}`,
+
+    async fetchEvents(query) {
+      const guard = options.publicOnly ? {
+        lookup: publicLookup,
+        beforeRedirect: redirect => checkHost(redirect.hostname)
+      } : {};
+      if (options.publicOnly) checkHost(new URL(url).hostname);
+
+      const response = await axios.get(url, {
+        responseType: 'text',
+        timeout: options.timeout || 10000,
+        maxContentLength: 5 * 1024 * 1024,
+        ...guard
+      });
+
+      // Recurring events are expanded within the requested range
+      const events = filterRecords(parseICSEvents(response.data, { start: query.start, end: query.end }), query);
+      console.log(`Fetched ${events.length} events from ${url}`);
+      return events;
+    }
+  };
+}
+
+module.exports = { createICSFeedProvider };
@@ -0,0 +1,193 @@
+/**
+ * Event Source Providers
+ *
+ * Every provider implements the same interface:
+ *
+ *   {
+ *     name: string,
+ *     fetchEvents({ location, start, end, categories, minRank, minLocalRank, minAttendance, maxEvents })
+ *       => Promise<Object[] | { events, total, truncated }>
+ *   }
+ *
+ * - location:   { lat, lon, radius, radiusKm } where radius uses PredictHQ notation ("50km")
+ * - start/end:  Date range to fetch
+ * - categories: Array of category values (empty for all)
+ * - minRank, minLocalRank, minAttendance: Optional minimums a provider may
+ *   apply in its query; the pipeline applies them again after fetching
+ * - maxEvents:  Optional hint of how many events the caller will keep
+ *
+ * Paginated providers return `{ events, total, truncated }` so callers can
+ * report when not every available event was fetched. Cached providers add
+ * `cache: { hit, cachedAt, expiresAt }`.
+ *
+ * Providers may also implement
+ *
+ *   countEvents({ location, start, end, categories }) => Promise<{ counts, cache? }>
+ *
+ * returning the number of events per category value without fetching them.
+ * For providers without it, the events are fetched and counted by the caller.
+ *
+ * Providers return PredictHQ-style records so that every source goes through
+ * the same `normalizeEvents` step. A calendar can mix several sources by
+ * passing a list of source definitions such as:
+ *
+ *   [{ type: 'predicthq' }, { type: 'ics', url: 'https://…/club.ics' }, { type: 'file', path: 'local.json' }]
+ */
+
+const { createPredictHQProvider } = require('./predicthq');
+const { createFileProvider } = require('./file');
+const { createICSFeedProvider } = require('./ics-feed');
+
+const PROVIDER_FACTORIES = {
+  predicthq: createPredictHQProvider,
+  file: createFileProvider,
+  ics: createICSFeedProvider
+};
+
+/**
+ * Creates a provider from a source definition.
+ *
+ * @param {Object} source - Source definition with a `type` and provider options
+ * @returns {Object} Provider
+ */
+function createProvider(source) {
+  const factory = PROVIDER_FACTORIES[source && source.type];
+  if (!factory) {
+    throw new Error(`Unknown event source type: ${source && source.type}`);
+  }
+  return factory(source);
+}
+
+/**
+ * Source definitions from an API request (or a feed saved through one),
+ * reduced to the fields a client may set: `type`, `url` and `path`. Provider
+ * options such as the PredictHQ endpoint, token, paging and cache are only
+ * taken from the server's own configuration, and ICS feeds may only be
+ * fetched from public hosts (see providers/ics-feed.js).
+ *
+ * @param {Object[]} [sources] - Source definitions as sent by the client
+ * @returns {Object[]|undefined}
+ */
+function requestSources(sources) {
+  if (!Array.isArray(sources)) return sources;
+  return sources.map(source => {
+    const definition = { type: source && source.type };
+    if (source && source.url !== undefined) definition.url = source.url;
+    if (source && source.path !== undefined) definition.path = source.path;
+    if (definition.type === 'ics') definition.publicOnly = true;
+    return definition;
+  });
+}
+
+/**
+ * Sources used when a calendar does not declare its own: PredictHQ when a
+ * token is configured, otherwise none.
+ */
+function defaultSources() {
+  return process.env.PREDICTHQ_TOKEN ? [{ type: 'predicthq' }] : [];
+}
+
+// Error of a failed source as reported to clients, with the upstream HTTP status if any
+function sourceError(source, error) {
+  const status = error.response && error.response.status;
+  return { source: source && source.type, message: error.message, ...(status ? { status } : {}) };
+}
+
+/**
+ * Fetches events from several sources in parallel. A failing source is
+ * logged and reported but does not fail the others.
+ *
+ * @param {Object[]} sources - Source definitions
+ * @param {Object} query - Provider query
+ * @returns {Promise<{events: Object[], errors: Object[], truncated: boolean, cache: Object|null}>}
+ *   `cache` summarizes the cached sources: a hit only when all of them were
+ *   served from the cache, with the oldest `cachedAt` and earliest `expiresAt`
+ */
+async function fetchFromSources(sources, query) {
+  const results = await Promise.all(sources.map(async source => {
+    try {
+      const provider = createProvider(source);
+      const result = await provider.fetchEvents(query);
+      const events = Array.isArray(result) ? result : result.events;
+      return {
+        events: events.map(event => ({ ...event, source: event.source || source.type })),
+        truncated: !Array.isArray(result) && Boolean(result.truncated),
+        cache: Array.isArray(result) ? null : result.cache || null
+      };
+    } catch (error) {
+      console.log(`Event source ${source && source.type} failed:`, error.message);
+      return { events: [], error: sourceError(source, error) };
+    }
+  }));
+
+  const cached = results.map(result => result.cache).filter(Boolean);
+
+  return {
+    events: results.flatMap(result => result.events),
+    errors: results.filter(result => result.error).map(result => result.error),
+    truncated: results.some(result => result.truncated),
+    cache: cached.length === 0 ? null : {
+      hit: cached.every(entry => entry.hit),
+      cachedAt: cached.map(entry => entry.cachedAt).sort()[0],
+      expiresAt: cached.map(entry => entry.expiresAt).sort()[0]
+    }
+  };
+}
+
+/**
+ * Counts events per category across several sources. Sources that can count
+ * upstream report counts; the events of the other sources are returned so
+ * the caller can apply the radius and date filters before counting them.
+ * A failing source is logged and reported but does not fail the others.
+ *
+ * @param {Object[]} sources - Source definitions
+ * @param {Object} query - Provider query ({ location, start, end, categories })
+ * @returns {Promise<{counts: Object<string, number>, events: Object[], errors: Object[], cache: Object|null}>}
+ */
+async function countFromSources(sources, query) {
+  const results = await Promise.all(sources.map(async source => {
+    try {
+      const provider = createProvider(source);
+      if (typeof provider.countEvents === 'function') {
+        const result = await provider.countEvents(query);
+        return { counts: result.counts, events: [], cache: result.cache || null };
+      }
+      const result = await provider.fetchEvents(query);
+      const events = Array.isArray(result) ? result : result.events;
+      return {
+        counts: {},
+        events: events.map(event => ({ ...event, source: event.source || source.type })),
+        cache: Array.isArray(result) ? null : result.cache || null
+      };
+    } catch (error) {
+      console.log(`Event source ${source && source.type} failed:`, error.message);
+      return { counts: {}, events: [], error: sourceError(source, error) };
+    }
+  }));
+
+  const counts = {};
+  results.forEach(result => Object.entries(result.counts).forEach(([category, count]) => {
+    counts[category] = (counts[category] || 0) + count;
+  }));
+  const cached = results.map(result => result.cache).filter(Boolean);
+
+  return {
+    counts,
+    events: results.flatMap(result => result.events),
+    errors: results.filter(result => result.error).map(result => result.error),
+    cache: cached.length === 0 ? null : {
+      hit: cached.every(entry => entry.hit),
+      cachedAt: cached.map(entry => entry.cachedAt).sort()[0],
+      expiresAt: cached.map(entry => entry.expiresAt).sort()[0]
+    }
+  };
+}
+
+module.exports = {
+  createProvider,
+  requestSources,
+  defaultSources,
+  fetchFromSources,
+  countFromSources,
+  PROVIDER_FACTORIES
+};
@@ -0,0 +1,170 @@
+/**
+ * PredictHQ Event Provider
+ *
+ * Fetches events from the PredictHQ Events API. Results are returned in
+ * PredictHQ's own record shape, which is what `normalizeEvents` expects.
+ *
+ * Results are requested by descending rank and the `next` links are followed
+ * up to a page limit, so when a large region or long horizon has more events
+ * than we fetch, the most relevant ones are the ones that make it.
+ *
+ * Responses are cached (see cache.js). To let nearby requests share entries,
+ * the query center is rounded to two decimals (about 1 km) and the radius is
+ * widened to cover the rounding; the pipeline trims events back to the exact
+ * radius afterwards.
+ */
+
+const axios = require('axios');
+const { defaultCache, cacheKey } = require('../cache');
+const { providerCategories, resolveCategory } = require('../categories');
+
+const PREDICTHQ_API_URL = 'https://api.predicthq.com/v1/events/';
+
+// Decimals kept in cached query coordinates and the distance they can shift the center
+const COORDINATE_DECIMALS = 2;
+const ROUNDING_PADDING_KM = 1;
+
+function roundCoordinate(value) {
+  const factor = 10 ** COORDINATE_DECIMALS;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Creates a PredictHQ provider.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.token] - API token (default: PREDICTHQ_TOKEN)
+ * @param {string} [options.apiUrl] - Events endpoint (default: PredictHQ production API)
+ * @param {number} [options.limit=140] - Page size
+ * @param {number} [options.maxPages] - Maximum pages to follow (default: PREDICTHQ_MAX_PAGES or 5)
+ * @param {Object|false} [options.cache] - Response cache (default: shared cache), false to disable
+ */
+function createPredictHQProvider(options = {}) {
+  const apiUrl = options.apiUrl || PREDICTHQ_API_URL;
+  const countUrl = `${apiUrl.replace(/\/?$/, '/')}count/`;
+  const limit = options.limit || 140;
+  const maxPages = options.maxPages || Number(process.env.PREDICTHQ_MAX_PAGES) || 5;
+  const cache = options.cache === false ? null : (options.cache || defaultCache());
+
+  async function fetchPages(params, token, maxEvents) {
+    console.log('Fetching events from PredictHQ with params:', params);
+
+    const headers = { 'Authorization': `Bearer ${token}` };
+    let response = await axios.get(apiUrl, { headers, params });
+    const events = response.data.results || [];
+    let pages = 1;
+
+    // Follow the `next` links, which already carry the query parameters
+    while (response.data.next && pages < maxPages && !(maxEvents && events.length >= maxEvents)) {
+      response = await axios.get(response.data.next, { headers });
+      events.push(...(response.data.results || []));
+      pages++;
+    }
+
+    const total = typeof response.data.count === 'number' ? response.data.count : events.length;
+    console.log(`Fetched ${events.length} of ${total} events from PredictHQ in ${pages} page(s)`);
+
+    return {
+      events,
+      total,
+      truncated: Boolean(response.data.next)
+    };
+  }
+
+  function requireToken() {
+    const token = options.token || process.env.PREDICTHQ_TOKEN;
+    if (!token) {
+      throw new Error('PREDICTHQ_TOKEN is not configured');
+    }
+    return token;
+  }
+
+  // Location, date and category parameters shared by the events and count queries
+  function queryParams({ location, start, end, categories }) {
+    const params = {
+      'start.gte': start.toISOString().split('T')[0],
+      'start.lte': end.toISOString().split('T')[0],
+      'location.within': cache
+        ? `${Math.ceil(location.radiusKm + ROUNDING_PADDING_KM)}km@${roundCoordinate(location.lat)},${roundCoordinate(location.lon)}`
+        : `${location.radius}@${location.lat},${location.lon}`
+    };
+    if (categories && categories.length > 0) {
+      params.category = providerCategories(categories, 'predicthq').sort().join(',');
+    }
+    return params;
+  }
+
+  // PredictHQ categories become category values; unknown ones are kept as delivered
+  function withCategoryValues(result) {
+    return {
+      ...result,
+      events: result.events.map(event => ({
+        ...event,
+        category: resolveCategory(event.category, 'predicthq') || event.category
+      }))
+    };
+  }
+
+  return {
+    name: 'predicthq',
+
+    async fetchEvents({ location, start, end, categories, minRank, minLocalRank, minAttendance, maxEvents }) {
+      const token = requireToken();
+      const params = {
+        limit,
+        sort: '-rank',
+        ...queryParams({ location, start, end, categories })
+      };
+      // Minimums are applied upstream so the fetched pages are not spent on minor events
+      if (minRank) params['rank.gte'] = minRank;
+      if (minLocalRank) params['local_rank.gte'] = minLocalRank;
+      if (minAttendance) params['phq_attendance.gte'] = minAttendance;
+
+      if (!cache) {
+        return withCategoryValues(await fetchPages(params, token, maxEvents));
+      }
+
+      const key = cacheKey('predicthq', { apiUrl, maxPages, maxEvents: maxEvents || null, ...params });
+      const { value, hit, cachedAt, expiresAt } = await cache.getOrFetch(key, () => fetchPages(params, token, maxEvents));
+      if (hit) {
+        console.log(`Using cached PredictHQ response from ${cachedAt}`);
+      }
+
+      return {
+        ...withCategoryValues(value),
+        cache: { hit, cachedAt, expiresAt }
+      };
+    },
+
+    /**
+     * Counts the events per category value without fetching them.
+     *
+     * @returns {Promise<{counts: Object<string, number>, cache?: Object}>}
+     */
+    async countEvents({ location, start, end, categories }) {
+      const token = requireToken();
+      const params = queryParams({ location, start, end, categories });
+      const fetchCounts = async () => {
+        console.log('Counting events at PredictHQ with params:', params);
+        const response = await axios.get(countUrl, { headers: { 'Authorization': `Bearer ${token}` }, params });
+        return response.data.categories || {};
+      };
+
+      const counted = cache
+        ? await cache.getOrFetch(cacheKey('predicthq-count', { apiUrl, ...params }), fetchCounts)
+        : { value: await fetchCounts() };
+
+      const counts = {};
+      Object.entries(counted.value).forEach(([name, count]) => {
+        const value = resolveCategory(name, 'predicthq');
+        if (value) counts[value] = (counts[value] || 0) + count;
+      });
+
+      return cache
+        ? { counts, cache: { hit: counted.hit, cachedAt: counted.cachedAt, expiresAt: counted.expiresAt } }
+        : { counts };
+    }
+  };
+}
+
+module.exports = { createPredictHQProvider };
@@ -0,0 +1,28 @@
+/**
+ * Shared query matching for providers that load a complete event list
+ * (local files, remote ICS feeds) and filter it themselves.
+ */
+
+/**
+ * Keeps records overlapping the date range and, when the record carries a
+ * category, matching one of the requested categories.
+ *
+ * @param {Object[]} records - PredictHQ-style event records
+ * @param {Object} query - Provider query ({ start, end, categories })
+ * @returns {Object[]} Matching records
+ */
+function filterRecords(records, { start, end, categories }) {
+  return records.filter(record => {
+    const recordStart = new Date(record.start || record.date);
+    const recordEnd = new Date(record.end || record.start || record.date);
+    if (isNaN(recordStart.getTime())) return false;
+    if (recordEnd < start || recordStart > end) return false;
+
+    if (categories && categories.length > 0 && record.category) {
+      return categories.includes(record.category);
+    }
+    return true;
+  });
+}
+
+module.exports = { filterRecords };
@@ -0,0 +1,72 @@
+/**
+ * Event Ranking and Trimming
+ *
+ * When a region or horizon has more events than a calendar should hold, the
+ * most relevant ones are kept: events are ranked by PredictHQ `local_rank`
+ * (falling back to `rank`), capped per local day and then overall. Real
+ * events always outrank synthetic sample events.
+ */
+
+const { localDate } = require('./timezone');
+
+// Default maximum number of events per calendar
+const DEFAULT_MAX_EVENTS = Number(process.env.MAX_EVENTS) || 500;
+
+/**
+ * Relevance score of an event: its local rank (or rank), with real events
+ * always ahead of sample events.
+ */
+function relevance(event) {
+  const rank = typeof event.localRank === 'number' ? event.localRank
+    : typeof event.rank === 'number' ? event.rank
+      : 0;
+  return (event.synthetic ? 0 : 1000) + rank;
+}
+
+/**
+ * Trims events to a per-day and total maximum, keeping the most relevant.
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {Object} [options]
+ * @param {number} [options.maxEvents=DEFAULT_MAX_EVENTS] - Maximum events overall
+ * @param {number} [options.maxPerDay] - Maximum events per local day (default: no cap)
+ * @param {string} [options.timezone='UTC'] - Timezone that defines the days
+ * @returns {{events: Object[], droppedByDailyCap: number, droppedByLimit: number}}
+ *   The kept events in chronological order and how many were dropped by each cap
+ */
+function limitEvents(events, options = {}) {
+  const maxEvents = options.maxEvents || DEFAULT_MAX_EVENTS;
+  const maxPerDay = options.maxPerDay || Infinity;
+  const timezone = options.timezone || 'UTC';
+
+  // Most relevant first; earlier events win ties
+  const ranked = [...events].sort((a, b) =>
+    relevance(b) - relevance(a) || new Date(a.startDate) - new Date(b.startDate)
+  );
+
+  const perDay = {};
+  let droppedByDailyCap = 0;
+  const withinDailyCap = ranked.filter(event => {
+    const day = localDate(new Date(event.startDate), timezone);
+    perDay[day] = (perDay[day] || 0) + 1;
+    if (perDay[day] > maxPerDay) {
+      droppedByDailyCap++;
+      return false;
+    }
+    return true;
+  });
+
+  const kept = withinDailyCap.slice(0, maxEvents);
+
+  return {
+    events: kept.sort((a, b) => new Date(a.startDate) - new Date(b.startDate)),
+    droppedByDailyCap,
+    droppedByLimit: withinDailyCap.length - kept.length
+  };
+}
+
+module.exports = {
+  limitEvents,
+  relevance,
+  DEFAULT_MAX_EVENTS
+};
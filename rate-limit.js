@@ -0,0 +1,198 @@
+/**
+ * Rate Limiting
+ *
+ * Guards the public API endpoints, above all those that can reach the event
+ * sources (and thereby spend the PredictHQ quota). Every request is counted
+ * against a subject: its API key when one is sent, otherwise the client IP.
+ *
+ * - a fixed one-minute window limits requests per minute
+ *   (RATE_LIMIT_PER_MINUTE per IP, API_KEY_RATE_LIMIT_PER_MINUTE per key)
+ * - a daily quota limits requests per UTC day
+ *   (DAILY_QUOTA per IP, API_KEY_DAILY_QUOTA per key)
+ *
+ * Keys may override both limits (see api-keys.js); 0 means no limit. Key
+ * usage is kept in the storage backend, IP counters only in memory. Requests
+ * over a limit are answered with 429 and a Retry-After header.
+ *
+ * With API_KEYS_REQUIRED=true, requests without a key are refused. The key is
+ * read from the X-API-Key header, the `api_key` query parameter (for feed
+ * URLs) or the password of HTTP Basic authentication (for CalDAV clients).
+ */
+
+const { findKey, recordUsage } = require('./api-keys');
+
+const WINDOW_MS = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+  ip: { perMinute: 30, perDay: 500 },
+  key: { perMinute: 120, perDay: 5000 }
+};
+
+// subject -> { count, resetAt } of the current minute
+const windows = new Map();
+// subject -> { day, count } of IPs
+const dailyCounts = new Map();
+
+function envLimit(name, fallback) {
+  const value = process.env[name];
+  return value !== undefined && value !== '' ? Number(value) : fallback;
+}
+
+function limitsFor(key) {
+  if (!key) {
+    return {
+      perMinute: envLimit('RATE_LIMIT_PER_MINUTE', DEFAULT_LIMITS.ip.perMinute),
+      perDay: envLimit('DAILY_QUOTA', DEFAULT_LIMITS.ip.perDay)
+    };
+  }
+  return {
+    perMinute: key.rateLimit ?? envLimit('API_KEY_RATE_LIMIT_PER_MINUTE', DEFAULT_LIMITS.key.perMinute),
+    perDay: key.dailyQuota ?? envLimit('API_KEY_DAILY_QUOTA', DEFAULT_LIMITS.key.perDay)
+  };
+}
+
+function apiKeysRequired() {
+  return process.env.API_KEYS_REQUIRED === 'true';
+}
+
+/**
+ * Reads the API key of a request, if any.
+ *
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function requestKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  if (typeof req.query.api_key === 'string' && req.query.api_key) return req.query.api_key;
+
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Basic ')) {
+    const credentials = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+    const password = credentials.slice(credentials.indexOf(':') + 1);
+    if (password) return password;
+  }
+  return null;
+}
+
+// Counts a request in the subject's current minute
+function hitWindow(subject, now) {
+  let window = windows.get(subject);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + WINDOW_MS };
+    windows.set(subject, window);
+  }
+  window.count++;
+  return window;
+}
+
+// Drop windows and day counters that have run out
+function sweep(now) {
+  const today = new Date(now).toISOString().slice(0, 10);
+  for (const [subject, window] of windows) {
+    if (window.resetAt <= now) windows.delete(subject);
+  }
+  for (const [subject, entry] of dailyCounts) {
+    if (entry.day !== today) dailyCounts.delete(subject);
+  }
+}
+
+const sweeper = setInterval(() => sweep(Date.now()), WINDOW_MS);
+sweeper.unref();
+
+function secondsUntilNextDay(now) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((next.getTime() - now) / 1000);
+}
+
+function tooManyRequests(res, retryAfter, details) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Too many requests', details });
+}
+
+/**
+ * Middleware that authenticates the API key of a request (if any) and
+ * enforces its rate limit and daily quota. The key record is put on
+ * `req.apiKey` for the route.
+ *
+ * Sets X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset
+ * (seconds until the minute window resets) when a per-minute limit applies.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.challenge=false] - Ask for HTTP Basic credentials
+ *   on 401, so that CalDAV clients prompt for the key
+ * @returns {Function} Express middleware
+ */
+function limitRequests({ challenge = false } = {}) {
+  return async (req, res, next) => {
+    if (req.method === 'OPTIONS') return next();
+
+    try {
+      const rawKey = requestKey(req);
+      let key = null;
+
+      if (rawKey) {
+        key = await findKey(rawKey);
+        if (!key || key.revokedAt) {
+          if (challenge) res.set('WWW-Authenticate', 'Basic realm="your-ical"');
+          return res.status(401).json({
+            error: 'Invalid API key',
+            details: key ? 'This API key has been revoked' : 'Unknown API key'
+          });
+        }
+      } else if (apiKeysRequired()) {
+        if (challenge) res.set('WWW-Authenticate', 'Basic realm="your-ical"');
+        return res.status(401).json({
+          error: 'API key required',
+          details: 'Send an API key in the X-API-Key header or the api_key query parameter'
+        });
+      }
+
+      const subject = key ? `key:${key.id}` : `ip:${req.ip}`;
+      const limits = limitsFor(key);
+      const now = Date.now();
+      const today = new Date(now).toISOString().slice(0, 10);
+
+      if (limits.perMinute > 0) {
+        const window = hitWindow(subject, now);
+        const reset = Math.ceil((window.resetAt - now) / 1000);
+        res.set({
+          'X-RateLimit-Limit': String(limits.perMinute),
+          'X-RateLimit-Remaining': String(Math.max(0, limits.perMinute - window.count)),
+          'X-RateLimit-Reset': String(reset)
+        });
+        if (window.count > limits.perMinute) {
+          return tooManyRequests(res, reset, `Rate limit of ${limits.perMinute} requests per minute exceeded`);
+        }
+      }
+
+      const quotaUsedUp = () => tooManyRequests(res, secondsUntilNextDay(now), `Daily quota of ${limits.perDay} requests used up; it resets at midnight UTC`);
+
+      if (key) {
+        // Checked and counted in one step (see api-keys.js), so bursts cannot exceed the quota
+        if (await recordUsage(key.id, { limit: limits.perDay }) === null) {
+          return quotaUsedUp();
+        }
+        req.apiKey = key;
+      } else {
+        const entry = dailyCounts.get(subject);
+        const used = entry && entry.day === today ? entry.count : 0;
+        if (limits.perDay > 0 && used >= limits.perDay) {
+          return quotaUsedUp();
+        }
+        dailyCounts.set(subject, { day: today, count: used + 1 });
+      }
+
+      next();
+    } catch (error) {
+      console.log('Rate limiting failed:', error.message);
+      res.status(500).json({ error: 'Failed to check API key', details: error.message });
+    }
+  };
+}
+
+module.exports = {
+  requestKey,
+  limitRequests
+};
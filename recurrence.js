@@ -0,0 +1,252 @@
+/**
+ * Recurrence Rule Expansion
+ *
+ * Expands RFC 5545 RRULEs into the calendar days of their occurrences. The
+ * rules are evaluated on local calendar days, so the caller combines each day
+ * with the event's wall-clock time in its own timezone and occurrences keep
+ * their local time across DST changes.
+ *
+ * Supported: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL,
+ * BYDAY (with ordinals such as 2MO or -1FR for monthly and yearly rules),
+ * BYMONTHDAY, BYMONTH and BYSETPOS. Rules with other BYxxx parts (hourly
+ * rules, BYWEEKNO, BYYEARDAY) are expanded as if those parts were absent.
+ */
+
+const { addDays } = require('./timezone');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on periods walked per rule (a daily rule for about 250 years)
+const MAX_PERIODS = 90000;
+
+function toList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Parses an RRULE value ("FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10").
+ *
+ * @returns {Object|null} The rule, or null for unsupported frequencies. `until`
+ *   is the raw UNTIL value for the caller to resolve.
+ */
+function parseRRule(value) {
+  const parts = Object.fromEntries(String(value).split(';').map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.trim().toUpperCase(), rest.join('=').trim()];
+  }));
+
+  if (!FREQUENCIES.includes((parts.FREQ || '').toUpperCase())) return null;
+
+  return {
+    freq: parts.FREQ.toUpperCase(),
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL || null,
+    byDay: toList(parts.BYDAY).map(entry => {
+      const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(entry);
+      return match ? { ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: DAY_CODES.indexOf(match[2].toUpperCase()) } : null;
+    }).filter(Boolean),
+    byMonthDay: toList(parts.BYMONTHDAY).map(Number).filter(day => Number.isInteger(day) && day !== 0),
+    byMonth: toList(parts.BYMONTH).map(Number).filter(month => month >= 1 && month <= 12),
+    bySetPos: toList(parts.BYSETPOS).map(Number).filter(position => Number.isInteger(position) && position !== 0)
+  };
+}
+
+/**
+ * Formats a rule as an RRULE value, the inverse of parseRRule.
+ *
+ * @param {Object} rule - Rule in the shape returned by parseRRule
+ * @returns {string}
+ */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count !== null && rule.count !== undefined) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(({ ordinal, weekday }) => `${ordinal ?? ''}${DAY_CODES[weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth.length > 0) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.bySetPos.length > 0) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  return parts.join(';');
+}
+
+function dayParts(day) {
+  return day.split('-').map(Number);
+}
+
+function dayString(year, month, date) {
+  return new Date(Date.UTC(year, month - 1, date)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Candidate days of one month for MONTHLY and YEARLY rules
+function monthDays(rule, year, month, startDate) {
+  const length = daysInMonth(year, month);
+  let dates;
+
+  if (rule.byMonthDay.length > 0) {
+    dates = rule.byMonthDay.map(date => (date > 0 ? date : length + date + 1));
+  } else if (rule.byDay.length > 0) {
+    dates = rule.byDay.flatMap(({ ordinal, weekday }) => {
+      const matching = [];
+      for (let date = 1; date <= length; date++) {
+        if (weekdayOf(dayString(year, month, date)) === weekday) matching.push(date);
+      }
+      if (ordinal === null) return matching;
+      const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      return picked ? [picked] : [];
+    });
+  } else {
+    dates = [startDate];
+  }
+
+  return dates
+    .filter(date => date >= 1 && date <= length)
+    .map(date => dayString(year, month, date));
+}
+
+// Candidate days of the n-th period of a rule, sorted
+function periodDays(rule, period, startDay) {
+  const [startYear, startMonth, startDate] = dayParts(startDay);
+  let days;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      days = [addDays(startDay, period * rule.interval)]
+        .filter(day => rule.byDay.length === 0 || rule.byDay.some(entry => entry.weekday === weekdayOf(day)))
+        .filter(day => rule.byMonthDay.length === 0 || rule.byMonthDay.includes(dayParts(day)[2]));
+      break;
+    case 'WEEKLY': {
+      // Weeks start on Monday
+      const weekStart = addDays(startDay, -((weekdayOf(startDay) + 6) % 7) + period * rule.interval * 7);
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(entry => entry.weekday) : [weekdayOf(startDay)];
+      days = weekdays.map(weekday => addDays(weekStart, (weekday + 6) % 7));
+      break;
+    }
+    case 'MONTHLY': {
+      const monthIndex = startMonth - 1 + period * rule.interval;
+      days = monthDays(rule, startYear + Math.floor(monthIndex / 12), (monthIndex % 12) + 1, startDate);
+      break;
+    }
+    default: {
+      const year = startYear + period * rule.interval;
+      const months = rule.byMonth.length > 0 ? rule.byMonth : [startMonth];
+      days = months.flatMap(month => monthDays(rule, year, month, startDate));
+    }
+  }
+
+  if (rule.byMonth.length > 0 && rule.freq !== 'YEARLY') {
+    days = days.filter(day => rule.byMonth.includes(dayParts(day)[1]));
+  }
+
+  days = [...new Set(days)].sort();
+  if (rule.bySetPos.length > 0) {
+    days = rule.bySetPos
+      .map(position => (position > 0 ? days[position - 1] : days[days.length + position]))
+      .filter(Boolean)
+      .sort();
+  }
+  return days;
+}
+
+// First day of the n-th period of a rule; no candidate of the period is earlier
+function periodStart(rule, period, startDay) {
+  const [startYear, startMonth] = dayParts(startDay);
+  switch (rule.freq) {
+    case 'DAILY':
+      return addDays(startDay, period * rule.interval);
+    case 'WEEKLY':
+      return addDays(startDay, -((weekdayOf(startDay) + 6) % 7) + period * rule.interval * 7);
+    case 'MONTHLY': {
+      const monthIndex = startMonth - 1 + period * rule.interval;
+      return dayString(startYear + Math.floor(monthIndex / 12), (monthIndex % 12) + 1, 1);
+    }
+    default:
+      return dayString(startYear + period * rule.interval, 1, 1);
+  }
+}
+
+// Last period that starts before a day, so that rules without COUNT can skip
+// the periods before the requested window
+function periodBefore(rule, startDay, day) {
+  const [startYear, startMonth] = dayParts(startDay);
+  const [year, month] = dayParts(day);
+  const days = Math.floor((new Date(`${day}T00:00:00Z`) - new Date(`${periodStart(rule, 0, startDay)}T00:00:00Z`)) / 86400000);
+  const units = rule.freq === 'DAILY' ? days
+    : rule.freq === 'WEEKLY' ? Math.floor(days / 7)
+      : rule.freq === 'MONTHLY' ? (year - startYear) * 12 + month - startMonth
+        : year - startYear;
+  return Math.max(0, Math.floor(units / rule.interval) - 1);
+}
+
+/**
+ * Lists the days on which a recurring event occurs, starting with the day
+ * of DTSTART.
+ *
+ * @param {Object} rule - Rule from parseRRule
+ * @param {string} startDay - Local day of DTSTART ("2025-08-17")
+ * @param {Object} options
+ * @param {Function} options.toInstant - Converts a day to the start instant of the occurrence on it
+ * @param {Date} options.before - Stop at occurrences starting at or after this instant
+ * @param {string} [options.fromDay] - Skip days before this one (they still count towards COUNT)
+ * @param {Date} [options.until] - Resolved UNTIL (inclusive)
+ * @param {number} [options.limit=1000] - Maximum number of days returned
+ * @param {Object} [options.budget] - `{ periods }` shared by the rules of one
+ *   calendar; every period walked uses one, and expansion stops at 0
+ * @returns {string[]}
+ */
+function expandRRule(rule, startDay, { toInstant, before, fromDay, until, limit = 1000, budget }) {
+  const days = [];
+  // Skipped days are compared by date only; a day past this one is past UNTIL in any timezone
+  const lastDay = until ? addDays(until.toISOString(), 1) : null;
+  const endDay = addDays(before.toISOString(), 1);
+  let produced = 0;
+  // Without COUNT, the periods before the window produce nothing that is kept
+  const first = rule.count === null && fromDay && fromDay > startDay ? periodBefore(rule, startDay, fromDay) : 0;
+
+  for (let period = first; period < first + MAX_PERIODS; period++) {
+    // Stop once a whole period lies past the end, even when the rule never matches
+    const periodDay = periodStart(rule, period, startDay);
+    if (periodDay > endDay || (lastDay && periodDay > lastDay)) return days;
+    if (budget) {
+      if (budget.periods <= 0) return days;
+      budget.periods--;
+    }
+
+    const candidates = periodDays(rule, period, startDay).filter(day => day >= startDay);
+    // DTSTART is always the first occurrence, even when it does not match the rule
+    if (period === 0 && candidates[0] !== startDay) candidates.unshift(startDay);
+
+    for (const day of candidates) {
+      if (rule.count !== null && produced >= rule.count) return days;
+      produced++;
+
+      if (fromDay && day < fromDay) {
+        if (lastDay && day > lastDay) return days;
+        continue;
+      }
+
+      const instant = toInstant(day);
+      if ((until && instant > until) || instant >= before) return days;
+      days.push(day);
+      if (days.length >= limit) return days;
+    }
+  }
+  return days;
+}
+
+module.exports = {
+  parseRRule,
+  formatRRule,
+  expandRRule
+};
@@ -0,0 +1,302 @@
+/**
+ * Calendar Job Scheduler
+ *
+ * Refreshes named calendars on a schedule. Jobs are declared in a JSON or
+ * YAML file (JOBS_FILE, default: jobs.json, jobs.yaml or jobs.yml in the
+ * project root):
+ *
+ *   defaults:
+ *     categories: concerts,festivals,sports
+ *     weeks: 4
+ *   jobs:
+ *     - name: berlin
+ *       location: 50km@52.5200,13.4050
+ *       cron: "0 6 * * *"
+ *     - name: london-sports
+ *       location: 25mi@51.5074,-0.1278
+ *       categories: sports
+ *       weeks: 8
+ *       cron: "30 5 * * 1"
+ *       reminders:
+ *         sports: 120
+ *
+ * Each job accepts the same options as a calendar request (location,
+ * categories, weeks, start, end, weekdays, timeFrom, timeTo, minRank,
+ * minLocalRank, minAttendance, keywords, excludeKeywords, cityName, sources,
+ * timezone, mode, seed, maxEvents, maxPerDay, calendarName, color,
+ * refreshInterval, reminders) plus a unique `name` and a `cron` expression,
+ * evaluated in the job's timezone. Calendars are written to
+ * CALENDARS_DIR/<name>.ics (default: data/calendars) and served at
+ * `/calendars/:name.ics`; the status of the last run of every job is kept in
+ * CALENDARS_DIR/status.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const YAML = require('yaml');
+const { generateICalendar, saveICalendarFile } = require('./utils');
+const { buildCalendarEvents } = require('./calendar');
+const { applyEventHistory, applySeriesHistory } = require('./event-history');
+const { validate } = require('./validation');
+
+const CALENDARS_DIR = process.env.CALENDARS_DIR || path.join(__dirname, 'data', 'calendars');
+const STATUS_FILE = path.join(CALENDARS_DIR, 'status.json');
+const DEFAULT_JOBS_FILES = ['jobs.json', 'jobs.yaml', 'jobs.yml'].map(file => path.join(__dirname, file));
+const DEFAULT_SCHEDULE = '0 6 * * *';
+const JOB_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+let jobs = null;
+let status = null;
+const tasks = [];
+
+function readJSON(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function jobsFile() {
+  if (process.env.JOBS_FILE) return path.resolve(process.env.JOBS_FILE);
+  return DEFAULT_JOBS_FILES.find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Validates a job definition.
+ *
+ * @returns {string|null} Error details, or null when valid
+ */
+function validateJob(job, index) {
+  const label = job.name ? `Job "${job.name}"` : `Job #${index + 1}`;
+
+  if (typeof job.name !== 'string' || !JOB_NAME_PATTERN.test(job.name)) {
+    return `${label}: name must contain only letters, digits, "-" and "_"`;
+  }
+  if (!cron.validate(job.cron)) {
+    return `${label}: invalid cron expression "${job.cron}"`;
+  }
+
+  // Calendar options are validated like a calendar request
+  const errors = validate('CalendarRequest', job);
+  if (errors.length > 0) {
+    return `${label}: ${errors.map(error => error.message).join('; ')}`;
+  }
+  return null;
+}
+
+/**
+ * Loads and validates the job configuration. Throws on an invalid file so
+ * a broken configuration is noticed at startup.
+ *
+ * @param {string} [filePath] - Configuration file (default: JOBS_FILE or jobs.json/.yaml/.yml)
+ * @returns {Object[]} Job definitions with defaults applied
+ */
+function loadJobs(filePath = jobsFile()) {
+  if (!filePath) {
+    jobs = [];
+    return jobs;
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  const config = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  const definitions = Array.isArray(config) ? config : (config && config.jobs) || [];
+  const defaults = (config && !Array.isArray(config) && config.defaults) || {};
+
+  const loaded = definitions.map(definition => ({
+    cron: DEFAULT_SCHEDULE,
+    weeks: 4,
+    mode: 'real',
+    ...defaults,
+    ...definition
+  }));
+
+  loaded.forEach((job, index) => {
+    const error = validateJob(job, index);
+    if (error) {
+      throw new Error(`Invalid job configuration in ${path.basename(filePath)}: ${error}`);
+    }
+    if (loaded.findIndex(other => other.name === job.name) !== index) {
+      throw new Error(`Invalid job configuration in ${path.basename(filePath)}: duplicate job name "${job.name}"`);
+    }
+  });
+
+  jobs = loaded;
+  return jobs;
+}
+
+function getJobs() {
+  return jobs || loadJobs();
+}
+
+function getJob(name) {
+  return getJobs().find(job => job.name === name) || null;
+}
+
+function loadStatus() {
+  if (!status) status = readJSON(STATUS_FILE, {});
+  return status;
+}
+
+function saveStatus() {
+  try {
+    fs.mkdirSync(CALENDARS_DIR, { recursive: true });
+    fs.writeFileSync(STATUS_FILE, JSON.stringify(status, null, 2), 'utf8');
+  } catch (error) {
+    console.log('Could not persist job status, keeping it in memory:', error.message);
+  }
+}
+
+/**
+ * Path of the calendar file written by a job.
+ */
+function calendarPath(name) {
+  return path.join(CALENDARS_DIR, `${name}.ics`);
+}
+
+/**
+ * Runs one job: builds its events, writes `<name>.ics` and records the run.
+ * Errors are recorded in the job status rather than thrown.
+ *
+ * @param {Object} job - Job definition
+ * @returns {Promise<Object>} The run status
+ */
+async function runJob(job) {
+  const run = { startedAt: new Date().toISOString() };
+  console.log(`Running calendar job "${job.name}"...`);
+
+  try {
+    const { events, timezone, counts, sourceErrors } = await buildCalendarEvents({
+      location: job.location,
+      categories: job.categories,
+      weeks: Number(job.weeks),
+      start: job.start,
+      end: job.end,
+      weekdays: job.weekdays,
+      timeFrom: job.timeFrom,
+      timeTo: job.timeTo,
+      minRank: job.minRank,
+      minLocalRank: job.minLocalRank,
+      minAttendance: job.minAttendance,
+      keywords: job.keywords,
+      excludeKeywords: job.excludeKeywords,
+      cityName: job.cityName,
+      sources: job.sources,
+      timezone: job.timezone,
+      mode: job.mode,
+      seed: job.seed,
+      maxEvents: job.maxEvents,
+      maxPerDay: job.maxPerDay
+    });
+
+    // A failed fetch would cancel every event; keep the previous file instead
+    if (sourceErrors.length > 0 && counts.real === 0) {
+      throw new Error(`Event sources failed: ${sourceErrors.map(error => `${error.source}: ${error.message}`).join('; ')}`);
+    }
+
+    // Keep UIDs and sequences consistent between runs, as for feeds
+    const historyPath = path.join(CALENDARS_DIR, `${job.name}.history.json`);
+    const previous = readJSON(historyPath, {});
+    const tracked = applyEventHistory(events, previous);
+    const { events: trackedEvents, history } = applySeriesHistory(tracked.events, tracked.history, previous, timezone);
+
+    saveICalendarFile(
+      generateICalendar(trackedEvents, {
+        name: job.calendarName || job.name,
+        timezone,
+        color: job.color,
+        refreshInterval: job.refreshInterval,
+        reminders: job.reminders
+      }),
+      calendarPath(job.name)
+    );
+    fs.writeFileSync(historyPath, JSON.stringify(history), 'utf8');
+
+    Object.assign(run, { status: 'success', eventCount: events.length });
+    console.log(`Calendar job "${job.name}" completed with ${events.length} events`);
+  } catch (error) {
+    Object.assign(run, { status: 'error', error: error.message });
+    console.error(`Calendar job "${job.name}" failed:`, error.message);
+
+    if (error.response?.status === 401) {
+      console.error('Authentication failed. Please set PREDICTHQ_TOKEN environment variable.');
+    }
+  }
+
+  run.finishedAt = new Date().toISOString();
+  const previous = loadStatus()[job.name] || {};
+  status[job.name] = {
+    lastRun: run,
+    lastSuccessAt: run.status === 'success' ? run.finishedAt : previous.lastSuccessAt || null
+  };
+  saveStatus();
+
+  return run;
+}
+
+/**
+ * Runs all configured jobs one after another.
+ */
+async function runAllJobs() {
+  const results = {};
+  for (const job of getJobs()) {
+    results[job.name] = await runJob(job);
+  }
+  return results;
+}
+
+/**
+ * Schedules every configured job and runs those without a calendar yet.
+ *
+ * @returns {number} Number of scheduled jobs
+ */
+function startScheduler() {
+  const configured = getJobs();
+
+  configured.forEach(job => {
+    tasks.push(cron.schedule(job.cron, () => runJob(job), job.timezone ? { timezone: job.timezone } : {}));
+    console.log(`Scheduled calendar job "${job.name}" (${job.cron})`);
+
+    if (!(loadStatus()[job.name] && fs.existsSync(calendarPath(job.name)))) {
+      runJob(job);
+    }
+  });
+
+  return configured.length;
+}
+
+function stopScheduler() {
+  tasks.splice(0).forEach(task => task.stop());
+}
+
+/**
+ * Lists the configured jobs with their last-run status.
+ *
+ * @returns {Object[]}
+ */
+function listJobStatus() {
+  const runs = loadStatus();
+  return getJobs().map(job => ({
+    name: job.name,
+    location: job.location,
+    categories: job.categories || null,
+    weeks: Number(job.weeks),
+    cron: job.cron,
+    timezone: job.timezone || null,
+    lastRun: runs[job.name] ? runs[job.name].lastRun : null,
+    lastSuccessAt: runs[job.name] ? runs[job.name].lastSuccessAt : null
+  }));
+}
+
+module.exports = {
+  loadJobs,
+  getJobs,
+  getJob,
+  runJob,
+  runAllJobs,
+  startScheduler,
+  stopScheduler,
+  listJobStatus,
+  calendarPath
+};
@@ -0,0 +1,223 @@
+/**
+ * Recurring Series Detection
+ *
+ * Weekly markets, season fixtures and yearly observances come back as one
+ * record per occurrence. Events with the same normalized title, local start
+ * and end time and place are grouped, and each group is fitted against
+ * daily, weekly, monthly and yearly rules. The best fitting rule turns the
+ * group into a single event with an RRULE: days the rule produces without an
+ * occurrence become EXDATEs and occurrences the rule misses become RDATEs,
+ * so the series always covers exactly the original occurrences.
+ *
+ * The first occurrence provides the title, description and other details of
+ * the series. Its SEQUENCE is the highest of its occurrences, unless the
+ * occurrences carry `seriesSequence` and `seriesLastModified` from the
+ * history of a feed (see event-history.js), which also tracks changes of the
+ * rule and its exceptions. Cancelled events, real and sample events, and groups with
+ * fewer than SERIES_MIN_OCCURRENCES occurrences are never combined.
+ */
+
+const crypto = require('crypto');
+const { formatRRule, expandRRule } = require('./recurrence');
+const { samePlace, titleKey } = require('./dedupe');
+const { isValidTimezone, formatLocalISO, addDays } = require('./timezone');
+
+// Smallest number of occurrences that forms a series; values below 2 turn detection off
+const SERIES_MIN_OCCURRENCES = Number(process.env.SERIES_MIN_OCCURRENCES ?? 3);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function weekdayOf(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+function daysInMonth(day) {
+  const [year, month] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function rule(fields) {
+  return { interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [], ...fields };
+}
+
+// Rules to fit against a group's days, simplest first so they win ties
+function candidateRules(days) {
+  const date = Number(days[0].slice(8, 10));
+  const weekday = weekdayOf(days[0]);
+  const gaps = days.slice(1).map((day, index) => (Date.parse(day) - Date.parse(days[index])) / DAY_MS);
+  const weeks = Math.max(1, Math.round(Math.min(...gaps) / 7));
+  // Monday first, as clients list them
+  const allWeekdays = [...new Set(days.map(weekdayOf))]
+    .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+    .map(day => ({ ordinal: null, weekday: day }));
+  const weekdaySets = allWeekdays.length > 1 ? [[{ ordinal: null, weekday }], allWeekdays] : [allWeekdays];
+
+  const candidates = [
+    rule({ freq: 'DAILY' }),
+    ...weekdaySets.map(byDay => rule({ freq: 'WEEKLY', byDay })),
+    ...(weeks > 1 ? weekdaySets.map(byDay => rule({ freq: 'WEEKLY', interval: weeks, byDay })) : []),
+    rule({ freq: 'MONTHLY', byMonthDay: [date] }),
+    rule({ freq: 'YEARLY' })
+  ];
+  // "2nd Tuesday" and "last Friday" of the month
+  if (date <= 28) {
+    candidates.push(rule({ freq: 'MONTHLY', byDay: [{ ordinal: Math.ceil(date / 7), weekday }] }));
+  }
+  if (date + 7 > daysInMonth(days[0])) {
+    candidates.push(rule({ freq: 'MONTHLY', byDay: [{ ordinal: -1, weekday }] }));
+  }
+  return candidates;
+}
+
+// Compares the days a rule produces up to the last occurrence with the actual days
+function fitRule(candidate, days) {
+  const grid = expandRRule(candidate, days[0], {
+    toInstant: day => new Date(`${day}T00:00:00Z`),
+    before: new Date(`${addDays(days[days.length - 1], 1)}T00:00:00Z`),
+    // Rules that produce many more days than there are occurrences never fit
+    limit: days.length * 4
+  });
+  const gridDays = new Set(grid);
+  const occurrenceDays = new Set(days);
+
+  return {
+    rule: { ...candidate, count: grid.length },
+    matched: days.filter(day => gridDays.has(day)).length,
+    exdates: grid.filter(day => !occurrenceDays.has(day)),
+    rdates: days.filter(day => !gridDays.has(day))
+  };
+}
+
+/**
+ * Finds the rule that describes the days with the fewest exceptions, or null
+ * when no rule covers at least twice as many days as it needs exceptions.
+ */
+function bestFit(days) {
+  const fits = candidateRules(days)
+    .map(candidate => fitRule(candidate, days))
+    .filter(fit => fit.matched >= SERIES_MIN_OCCURRENCES && (fit.exdates.length + fit.rdates.length) * 2 <= fit.matched);
+  if (fits.length === 0) return null;
+
+  return fits.reduce((best, fit) =>
+    fit.exdates.length + fit.rdates.length < best.exdates.length + best.rdates.length ? fit : best
+  );
+}
+
+// Local start and end wall-clock times and the number of days spanned
+function seriesKey(event, timezone) {
+  const start = formatLocalISO(new Date(event.startDate), timezone);
+  const end = formatLocalISO(new Date(event.endDate || event.startDate), timezone);
+  const spanDays = (Date.parse(end.slice(0, 10)) - Date.parse(start.slice(0, 10))) / DAY_MS;
+  return [
+    event.synthetic ? 'sample' : 'real',
+    titleKey(event.title),
+    Boolean(event.allDay),
+    start.slice(11),
+    end.slice(11),
+    spanDays,
+    timezone
+  ].join('|');
+}
+
+// Stable across refreshes, so the series keeps its UID while the date range moves
+function seriesUid(key, event) {
+  const hash = crypto.createHash('sha1')
+    .update([key, event.location || ''].join('|'))
+    .digest('hex')
+    .slice(0, 16);
+  return `series-${hash}@your-ical`;
+}
+
+/**
+ * Combines recurring events into series events.
+ *
+ * @param {Object[]} events - Normalized events
+ * @param {string} [defaultTimezone='UTC'] - Timezone for events that carry none
+ * @returns {{events: Object[], series: number}} The events with each series
+ *   replaced by its first occurrence carrying `recurrence` ({rule, exdates,
+ *   rdates}, days as "YYYY-MM-DD"), `seriesCount` and the `occurrenceUids`,
+ *   and the number of series
+ */
+function collapseSeries(events, defaultTimezone = 'UTC') {
+  if (!(SERIES_MIN_OCCURRENCES >= 2)) return { events, series: 0 };
+
+  const groups = new Map();
+  const result = [];
+
+  events.forEach(event => {
+    if (event.status === 'cancelled') {
+      result.push(event);
+      return;
+    }
+    const timezone = isValidTimezone(event.timezone) ? event.timezone : defaultTimezone;
+    const key = seriesKey(event, timezone);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ event, day: formatLocalISO(new Date(event.startDate), timezone).slice(0, 10) });
+  });
+
+  let series = 0;
+  groups.forEach((group, key) => {
+    // Split the group by place; each part is fitted on its own
+    const places = [];
+    group.forEach(entry => {
+      const place = places.find(part => samePlace(part[0].event, entry.event));
+      if (place) place.push(entry);
+      else places.push([entry]);
+    });
+
+    places.forEach(place => {
+      place.sort((a, b) => new Date(a.event.startDate) - new Date(b.event.startDate));
+      const days = place.map(entry => entry.day);
+      // Two occurrences on one day cannot be told apart by a daily rule
+      const fit = new Set(days).size === days.length && days.length >= SERIES_MIN_OCCURRENCES ? bestFit(days) : null;
+
+      if (!fit) {
+        place.forEach(entry => result.push(entry.event));
+        return;
+      }
+
+      const first = place[0].event;
+      const lastModified = place.map(entry => entry.event.lastModified).filter(Boolean).sort((a, b) => new Date(b) - new Date(a))[0];
+      series++;
+      result.push({
+        ...first,
+        uid: seriesUid(key, first),
+        sequence: first.seriesSequence ?? Math.max(...place.map(entry => entry.event.sequence || 0)),
+        lastModified: first.seriesLastModified || lastModified || first.lastModified,
+        recurrence: { rule: fit.rule, exdates: fit.exdates, rdates: fit.rdates },
+        seriesCount: place.length,
+        occurrenceUids: place.map(entry => entry.event.uid)
+      });
+    });
+  });
+
+  result.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+  return { events: result, series };
+}
+
+/**
+ * Builds the RRULE, EXDATE and RDATE lines of a series event. Exceptions use
+ * the series' local start time, in the same form as its DTSTART.
+ *
+ * @param {Object} event - Series event from collapseSeries
+ * @param {string} timezone - Timezone the event is written in
+ * @returns {string}
+ */
+function recurrenceLines(event, timezone) {
+  const { rule: seriesRule, exdates, rdates } = event.recurrence;
+  const time = event.allDay ? '' : `T${formatLocalISO(new Date(event.startDate), timezone).slice(11).replace(/:/g, '')}`;
+  const utc = !event.allDay && timezone === 'UTC';
+  const params = event.allDay ? ';VALUE=DATE' : utc ? '' : `;TZID=${timezone}`;
+  const values = days => days.map(day => `${day.replace(/-/g, '')}${time}${utc ? 'Z' : ''}`).join(',');
+
+  return [
+    `RRULE:${formatRRule(seriesRule)}`,
+    exdates.length > 0 ? `EXDATE${params}:${values(exdates)}` : null,
+    rdates.length > 0 ? `RDATE${params}:${values(rdates)}` : null
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  collapseSeries,
+  recurrenceLines
+};
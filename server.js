@@ -6,21 +6,73 @@
  * 
  * Key Features:
  * - RESTful API endpoints for calendar generation
- * - PredictHQ API integration for real event data
- * - Fallback event generation when API data is unavailable
+ * - Pluggable event sources (PredictHQ, local files, remote ICS feeds)
+ * - Opt-in, clearly labelled sample events (mode: real | synthetic | mixed)
  * - iCalendar (.ics) file generation for calendar imports
+ * - Subscribable feeds (webcal URLs) that stay up to date
+ * - Scheduled calendar jobs for many locations (see scheduler.js)
  * - Swagger/OpenAPI documentation
  * - Static file serving for Vue.js frontend
  * - CORS support for development
  * 
  * API Endpoints:
  * - GET  /api/categories          - List available event categories
+ * - GET  /api/categories/facets   - Count events per category at a location and date range
+ * - GET  /api/geocode             - Search places (Nominatim proxy with offline gazetteer fallback)
+ * - GET  /api/events              - Search, sort and page through events (JSON, read-only)
  * - POST /api/generate-calendar   - Generate calendar for location and preferences
+ * - POST /api/import-calendar     - Combine an uploaded .ics with discovered events (merged or free slots)
+ * - GET  /api/download/:sessionId - Download a generated calendar (ics, jcal, json, csv, rss, atom)
+ * - GET  /api/sessions            - List generated calendars that can still be downloaded (admin)
+ * - DELETE /api/sessions/:id      - Delete a generated calendar (with its delete token)
+ * - POST /api/feeds               - Save a subscribable calendar feed
+ * - GET  /api/feeds/:id           - Get a saved feed and its subscription URLs
+ * - DELETE /api/feeds/:id         - Delete a saved feed
+ * - GET  /feeds/:id.ics           - Subscribable feed, rebuilt on every poll
+ * - /caldav/:id/                  - Read-only CalDAV view of a saved feed (PROPFIND, REPORT, GET)
+ * - GET  /api/jobs                - Scheduled calendar jobs and their last-run status
+ * - POST /api/admin/keys          - Issue an API key (admin)
+ * - GET  /api/admin/keys          - List API keys and today's usage (admin)
+ * - GET  /api/admin/keys/:id      - Get an API key and its daily usage (admin)
+ * - DELETE /api/admin/keys/:id    - Revoke an API key (admin)
+ * - GET  /calendars/:name.ics     - Calendar written by a scheduled job
  * - GET  /api-docs                - Swagger API documentation
  * - GET  /                        - Serve Vue.js frontend application
  * 
  * Environment Variables:
- * - PREDICTHQ_TOKEN: API token for PredictHQ service (optional, has fallback)
+ * - PREDICTHQ_TOKEN: API token for PredictHQ service (optional, sample events without it)
+ * - SOURCES_DIR: Directory for local file event sources (default: data/sources)
+ * - ICS_ALLOWED_HOSTS: Comma-separated hosts that ICS sources of API requests may use even when they are not public
+ * - PREDICTHQ_MAX_PAGES: Maximum PredictHQ result pages fetched per request (default: 5)
+ * - MAX_EVENTS: Default maximum number of events per calendar (default: 500)
+ * - DEDUPE_GAP_MINUTES: Largest gap between merged parts of one event (default: 60)
+ * - DEDUPE_DISTANCE_KM: Largest distance between merged listings of one event (default: 1)
+ * - SERIES_MIN_OCCURRENCES: Occurrences needed to emit a recurring series (default: 3)
+ * - STORAGE_BACKEND: Storage of sessions and feeds, memory, file or sqlite (default: file)
+ * - STORAGE_DIR: Directory of the file storage backend (default: data/storage)
+ * - STORAGE_SQLITE_FILE: Database of the sqlite storage backend (default: data/storage.sqlite)
+ * - SESSION_TTL: Seconds a generated calendar stays downloadable (default: 600)
+ * - MAX_SESSIONS: Generated calendars kept before the oldest are evicted (default: 200)
+ * - GEOCODER: Set to "gazetteer" to search places offline only
+ * - NOMINATIM_URL: Nominatim search endpoint (default: https://nominatim.openstreetmap.org/search)
+ * - NOMINATIM_USER_AGENT: User-Agent identifying this application to Nominatim
+ * - NOMINATIM_EMAIL: Contact email sent with Nominatim requests (optional)
+ * - NOMINATIM_MAX_WAIT_MS: Longest wait for a Nominatim slot before using the gazetteer (default: 3000)
+ * - GEOCODE_CACHE_TTL: Seconds place searches are cached (default: 604800)
+ * - CACHE_STORE: PredictHQ response and place search cache store, memory or file (default: memory)
+ * - CACHE_DIR: Directory of the file cache store (default: data/cache)
+ * - CACHE_TTL: Cache time to live in seconds, 0 disables caching (default: 900)
+ * - CACHE_MAX_ENTRIES: Entries kept by each in-memory cache before the oldest are evicted (default: 1000)
+ * - JOBS_FILE: Calendar job configuration, JSON or YAML (default: jobs.json, jobs.yaml or jobs.yml)
+ * - CALENDARS_DIR: Output directory of scheduled calendars (default: data/calendars)
+ * - SCHEDULER: Set to "off" to not run calendar jobs in the server process
+ * - API_KEYS_REQUIRED: Set to "true" to refuse requests without an API key
+ * - RATE_LIMIT_PER_MINUTE: Requests per minute and IP without an API key, 0 for no limit (default: 30)
+ * - DAILY_QUOTA: Requests per UTC day and IP without an API key, 0 for no limit (default: 500)
+ * - API_KEY_RATE_LIMIT_PER_MINUTE: Default requests per minute of an API key (default: 120)
+ * - API_KEY_DAILY_QUOTA: Default requests per UTC day of an API key (default: 5000)
+ * - ADMIN_TOKEN: Bearer token of the admin endpoints (admin endpoints are disabled without it)
+ * - TRUST_PROXY: Proxies whose X-Forwarded-* headers are trusted: hop count, "true" or a list of addresses (default: none)
  * - PORT: Server port (default: 3000)
  * 
  * Dependencies:
@@ -36,10 +88,26 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
+const crypto = require('crypto');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
-const { normalizeEvents, generateICalendar } = require('./utils');
+const { generateICalendar } = require('./utils');
+const { buildCalendarEvents, countCategoryEvents } = require('./calendar');
+const feeds = require('./feeds');
+const scheduler = require('./scheduler');
+const { applyEventHistory, replayEventHistory, applySeriesHistory } = require('./event-history');
+const { schemas: requestSchemas, validateRequest, MAX_IMPORT_LENGTH } = require('./validation');
+const { listCategories } = require('./categories');
+const { searchEvents, queryFingerprint, decodeCursor, paginateEvents } = require('./event-query');
+const caldav = require('./caldav');
+const { EXPORT_FORMATS, negotiateFormat, renderEvents } = require('./exporters');
+const { importCalendar, removeBusyOverlaps } = require('./calendar-import');
+const { resolveDateRange } = require('./date-filter');
+const { openCollection } = require('./storage');
+const { geocode } = require('./geocoding');
+const { requestSources } = require('./providers');
+const { limitRequests, requestKey } = require('./rate-limit');
+const apiKeys = require('./api-keys');
 
 // Load environment variables
 try {
@@ -78,6 +146,7 @@ const swaggerOptions = {
     ],
     components: {
       schemas: {
+        ...requestSchemas,
         Location: {
           type: 'object',
           properties: {
@@ -92,52 +161,473 @@ const swaggerOptions = {
             }
           }
         },
-        CalendarRequest: {
+        CalendarResponse: {
           type: 'object',
-          required: ['location', 'categories'],
           properties: {
-            location: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            downloadUrl: {
               type: 'string',
-              example: '50km@52.5200,13.4050',
-              description: 'Location in format: radius@latitude,longitude'
+              example: '/events-1234567890.ics'
             },
-            categories: {
+            sessionId: {
               type: 'string',
-              example: 'concerts,festivals,sports',
-              description: 'Comma-separated list of event categories'
+              example: 'Jx1vQ7mZk3Lr0bT9'
             },
-            weeks: {
+            deleteToken: {
+              type: 'string',
+              example: 'b3Jp7XkQ2mVd9sLc0aTzWf4u',
+              description: 'Send as X-Delete-Token to DELETE /api/sessions/{sessionId}; only returned here'
+            },
+            eventCount: {
               type: 'integer',
-              example: 4,
-              minimum: 1,
-              maximum: 12,
-              description: 'Number of weeks for the calendar'
+              example: 35
             },
-            cityName: {
+            mode: {
+              type: 'string',
+              example: 'mixed'
+            },
+            counts: {
+              type: 'object',
+              description: 'How many real and synthetic sample events the calendar contains, and how many duplicate listings were merged into other events',
+              properties: {
+                real: {
+                  type: 'integer',
+                  example: 28
+                },
+                synthetic: {
+                  type: 'integer',
+                  example: 7
+                },
+                merged: {
+                  type: 'integer',
+                  example: 3
+                }
+              }
+            },
+            seed: {
+              type: 'string',
+              nullable: true,
+              example: 'a1b2c3d4e5f6',
+              description: 'Seed used for sample events (null in real mode)'
+            },
+            range: {
+              type: 'object',
+              description: 'First and last day (inclusive) covered by the calendar',
+              properties: {
+                start: {
+                  type: 'string',
+                  example: '2025-08-17'
+                },
+                end: {
+                  type: 'string',
+                  example: '2025-09-13'
+                }
+              }
+            },
+            truncation: {
+              type: 'object',
+              description: 'Whether the calendar holds fewer events than were available, and why',
+              properties: {
+                truncated: {
+                  type: 'boolean',
+                  example: true
+                },
+                providerTruncated: {
+                  type: 'boolean',
+                  example: false,
+                  description: 'A source had more results than were fetched'
+                },
+                available: {
+                  type: 'integer',
+                  example: 640
+                },
+                returned: {
+                  type: 'integer',
+                  example: 500
+                },
+                droppedByDailyCap: {
+                  type: 'integer',
+                  example: 0
+                },
+                droppedByLimit: {
+                  type: 'integer',
+                  example: 140
+                }
+              }
+            },
+            cache: {
+              type: 'object',
+              nullable: true,
+              description: 'Whether the PredictHQ results came from the server cache (null when no cached source was queried)',
+              properties: {
+                hit: {
+                  type: 'boolean',
+                  example: true
+                },
+                cachedAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  example: '2025-08-16T10:00:00.000Z'
+                },
+                expiresAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  example: '2025-08-16T10:15:00.000Z'
+                }
+              }
+            },
+            message: {
               type: 'string',
-              example: 'Berlin',
-              description: 'City name for location-specific events'
+              example: 'Calendar generated successfully'
+            },
+            sourceErrors: {
+              type: 'array',
+              description: 'Event sources that failed; the calendar holds the events of the others',
+              items: {
+                $ref: '#/components/schemas/SourceError'
+              }
             }
           }
         },
-        CalendarResponse: {
+        SourceError: {
           type: 'object',
           properties: {
-            success: {
+            source: {
+              type: 'string',
+              example: 'predicthq'
+            },
+            message: {
+              type: 'string',
+              example: 'Request failed with status code 401'
+            },
+            status: {
+              type: 'integer',
+              example: 401,
+              description: 'HTTP status returned by the source, when it answered'
+            }
+          }
+        },
+        Event: {
+          type: 'object',
+          description: 'Normalized event, as it is written to calendars',
+          properties: {
+            uid: { type: 'string', example: 'a1b2c3d4e5f6@your-ical' },
+            title: { type: 'string', example: 'Jazz Night in Berlin' },
+            startDate: { type: 'string', format: 'date-time' },
+            endDate: { type: 'string', format: 'date-time' },
+            allDay: { type: 'boolean' },
+            timezone: { type: 'string', example: 'Europe/Berlin' },
+            synthetic: { type: 'boolean', description: 'Sample event (never returned by GET /api/events)' },
+            category: { type: 'string', nullable: true, example: 'concerts' },
+            rank: { type: 'integer', nullable: true, example: 62 },
+            localRank: { type: 'integer', nullable: true, example: 71 },
+            attendance: { type: 'integer', nullable: true, example: 1200 },
+            labels: { type: 'array', items: { type: 'string' }, example: ['music', 'jazz'] },
+            entities: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  type: { type: 'string', nullable: true }
+                }
+              }
+            },
+            url: { type: 'string', nullable: true },
+            location: { type: 'string', nullable: true, example: 'A-Trane, Pestalozzistraße 105, Berlin' },
+            venue: { type: 'string', nullable: true, example: 'A-Trane' },
+            address: { type: 'string', nullable: true },
+            geo: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                lat: { type: 'number' },
+                lon: { type: 'number' }
+              }
+            },
+            distanceKm: { type: 'number', nullable: true, example: 3.4, description: 'Distance from the requested location' },
+            mergedCount: { type: 'integer', description: 'Number of listings merged into this event, when more than one' },
+            description: { type: 'string' }
+          }
+        },
+        EventsPage: {
+          type: 'object',
+          properties: {
+            events: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Event'
+              }
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Pass as `cursor` to get the next page; null on the last page'
+            },
+            total: {
+              type: 'integer',
+              example: 57,
+              description: 'Events matching the query over all pages'
+            },
+            sort: {
+              type: 'string',
+              example: 'start'
+            },
+            timezone: {
+              type: 'string',
+              example: 'Europe/Berlin'
+            },
+            range: {
+              type: 'object',
+              properties: {
+                start: { type: 'string', format: 'date' },
+                end: { type: 'string', format: 'date' }
+              }
+            },
+            truncated: {
               type: 'boolean',
-              example: true
+              description: 'More events were available than the MAX_EVENTS most relevant ones that are searched'
             },
-            downloadUrl: {
+            cache: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                hit: { type: 'boolean' },
+                cachedAt: { type: 'string', format: 'date-time' },
+                expiresAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            sourceErrors: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SourceError'
+              }
+            }
+          }
+        },
+        ImportResponse: {
+          allOf: [
+            { $ref: '#/components/schemas/CalendarResponse' },
+            {
+              type: 'object',
+              properties: {
+                variant: {
+                  type: 'string',
+                  enum: ['merged', 'free-slots'],
+                  example: 'free-slots'
+                },
+                imported: {
+                  type: 'object',
+                  description: 'Events read from the uploaded calendar (within the date range), how many of them block time, and how many discovered events were dropped for overlapping them',
+                  properties: {
+                    events: {
+                      type: 'integer',
+                      example: 24
+                    },
+                    busySlots: {
+                      type: 'integer',
+                      example: 20
+                    },
+                    droppedBusy: {
+                      type: 'integer',
+                      example: 6
+                    }
+                  }
+                }
+              }
+            }
+          ]
+        },
+        Place: {
+          type: 'object',
+          description: 'Place found by the geocoder',
+          properties: {
+            id: {
               type: 'string',
-              example: '/events-1234567890.ics'
+              example: 'osm:relation:62422',
+              description: 'osm:<type>:<id> for Nominatim results, geonames:<id> for gazetteer results'
+            },
+            name: {
+              type: 'string',
+              example: 'Berlin'
+            },
+            displayName: {
+              type: 'string',
+              example: 'Berlin, Germany'
+            },
+            type: {
+              type: 'string',
+              example: 'city'
+            },
+            lat: {
+              type: 'number',
+              example: 52.5173885
+            },
+            lon: {
+              type: 'number',
+              example: 13.3951309
+            },
+            countryCode: {
+              type: 'string',
+              nullable: true,
+              example: 'DE',
+              description: 'ISO 3166-1 alpha-2 country code'
+            },
+            timezone: {
+              type: 'string',
+              nullable: true,
+              example: 'Europe/Berlin',
+              description: 'IANA timezone of the place, usable as the calendar timezone'
+            },
+            source: {
+              type: 'string',
+              enum: ['nominatim', 'gazetteer']
+            }
+          }
+        },
+        GeocodeResponse: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              example: 'Berlin'
+            },
+            source: {
+              type: 'string',
+              enum: ['nominatim', 'gazetteer'],
+              description: 'gazetteer when Nominatim was unavailable, rate limited or turned off'
+            },
+            cache: {
+              type: 'object',
+              nullable: true,
+              description: 'Cache status of Nominatim results',
+              properties: {
+                hit: { type: 'boolean' },
+                cachedAt: { type: 'string', format: 'date-time' },
+                expiresAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            results: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Place'
+              }
+            }
+          }
+        },
+        Session: {
+          type: 'object',
+          description: 'Generated calendar available for download',
+          properties: {
+            sessionId: {
+              type: 'string',
+              example: 'Jx1vQ7mZk3Lr0bT9'
+            },
+            name: {
+              type: 'string',
+              example: 'Berlin Events'
+            },
+            cityName: {
+              type: 'string',
+              example: 'Berlin'
             },
             eventCount: {
               type: 'integer',
-              example: 35
+              example: 42
             },
-            message: {
+            downloadUrl: {
               type: 'string',
-              example: 'Calendar generated successfully'
+              example: '/api/download/Jx1vQ7mZk3Lr0bT9'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Feed: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: 'q3X9c2LrV0bT1mZk'
+            },
+            name: {
+              type: 'string',
+              example: 'Berlin Events'
+            },
+            location: {
+              type: 'string',
+              example: '50km@52.5200,13.4050'
+            },
+            categories: {
+              type: 'string',
+              example: 'concerts,festivals,sports'
+            },
+            weeks: {
+              type: 'integer',
+              example: 4
+            },
+            minRank: {
+              type: 'integer',
+              example: 40
+            },
+            minAttendance: {
+              type: 'integer',
+              example: 500
+            },
+            excludeKeywords: {
+              type: 'string',
+              example: 'meetup,webinar'
+            },
+            cityName: {
+              type: 'string',
+              example: 'Berlin'
+            },
+            color: {
+              type: 'string',
+              example: '#1E88E5'
+            },
+            refreshInterval: {
+              type: 'integer',
+              example: 360
+            },
+            reminders: {
+              type: 'object',
+              example: { festivals: 1440, concerts: 120 }
+            },
+            timezone: {
+              type: 'string',
+              example: 'Europe/Berlin'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            feedUrl: {
+              type: 'string',
+              example: 'https://example.com/feeds/q3X9c2LrV0bT1mZk.ics'
+            },
+            webcalUrl: {
+              type: 'string',
+              example: 'webcal://example.com/feeds/q3X9c2LrV0bT1mZk.ics'
+            },
+            caldavUrl: {
+              type: 'string',
+              example: 'https://example.com/caldav/q3X9c2LrV0bT1mZk/',
+              description: 'Read-only CalDAV account URL of the feed'
+            },
+            deleteToken: {
+              type: 'string',
+              example: 'Tq8wZr2kLm5Vx0cJd7nPb3sY',
+              description: 'Send as X-Delete-Token to DELETE /api/feeds/{id}; only returned when the feed is created'
             }
           }
         },
@@ -151,6 +641,198 @@ const swaggerOptions = {
             label: {
               type: 'string',
               example: 'Concerts'
+            },
+            description: {
+              type: 'string',
+              example: 'Live music from club gigs to stadium tours'
+            },
+            icon: {
+              type: 'string',
+              example: 'music',
+              description: 'Font Awesome icon name'
+            },
+            main: {
+              type: 'boolean',
+              description: 'Part of the default selection when a request names no categories'
+            }
+          }
+        },
+        CategoryFacets: {
+          type: 'object',
+          properties: {
+            categories: {
+              type: 'array',
+              description: 'Every category with the number of events at the location',
+              items: {
+                allOf: [
+                  { $ref: '#/components/schemas/Category' },
+                  {
+                    type: 'object',
+                    properties: {
+                      count: { type: 'integer', example: 12 }
+                    }
+                  }
+                ]
+              }
+            },
+            total: {
+              type: 'integer',
+              example: 57
+            },
+            sources: {
+              type: 'integer',
+              example: 1,
+              description: 'Number of event sources counted; 0 when none is configured'
+            },
+            timezone: {
+              type: 'string',
+              example: 'Europe/Berlin'
+            },
+            range: {
+              type: 'object',
+              properties: {
+                start: { type: 'string', format: 'date' },
+                end: { type: 'string', format: 'date' }
+              }
+            },
+            cache: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                hit: { type: 'boolean' },
+                cachedAt: { type: 'string', format: 'date-time' },
+                expiresAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            sourceErrors: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SourceError'
+              }
+            }
+          }
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              example: 'berlin'
+            },
+            location: {
+              type: 'string',
+              example: '50km@52.5200,13.4050'
+            },
+            categories: {
+              type: 'string',
+              nullable: true,
+              example: 'concerts,festivals,sports'
+            },
+            weeks: {
+              type: 'integer',
+              example: 4
+            },
+            cron: {
+              type: 'string',
+              example: '0 6 * * *'
+            },
+            timezone: {
+              type: 'string',
+              nullable: true,
+              example: 'Europe/Berlin'
+            },
+            calendarUrl: {
+              type: 'string',
+              example: 'https://example.com/calendars/berlin.ics'
+            },
+            lastRun: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                status: {
+                  type: 'string',
+                  enum: ['success', 'error'],
+                  example: 'success'
+                },
+                startedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                finishedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                eventCount: {
+                  type: 'integer',
+                  example: 42
+                },
+                error: {
+                  type: 'string',
+                  example: 'PREDICTHQ_TOKEN is not configured'
+                }
+              }
+            },
+            lastSuccessAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '3f9a1c0b7e2d4a65'
+            },
+            name: {
+              type: 'string',
+              example: 'Intranet calendar widget'
+            },
+            key: {
+              type: 'string',
+              example: 'yik_x7Kp2VqL9mRt4WcN8sYb3HdF6jZa0uGe',
+              description: 'The key itself; only returned when the key is issued'
+            },
+            rateLimit: {
+              type: 'integer',
+              nullable: true,
+              example: 60,
+              description: 'Requests per minute, 0 for no limit, null for API_KEY_RATE_LIMIT_PER_MINUTE'
+            },
+            dailyQuota: {
+              type: 'integer',
+              nullable: true,
+              example: 2000,
+              description: 'Requests per UTC day, 0 for no limit, null for API_KEY_DAILY_QUOTA'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            usage: {
+              type: 'array',
+              description: 'Requests per UTC day, most recent first',
+              items: {
+                type: 'object',
+                properties: {
+                  day: {
+                    type: 'string',
+                    format: 'date',
+                    example: '2025-08-17'
+                  },
+                  requests: {
+                    type: 'integer',
+                    example: 412
+                  }
+                }
+              }
             }
           }
         },
@@ -164,439 +846,2227 @@ const swaggerOptions = {
             details: {
               type: 'string',
               example: 'Additional error details'
+            },
+            errors: {
+              type: 'array',
+              description: 'Field-level validation errors',
+              items: {
+                type: 'object',
+                properties: {
+                  field: {
+                    type: 'string',
+                    example: 'weeks'
+                  },
+                  code: {
+                    type: 'string',
+                    enum: ['required', 'invalid_type', 'invalid_value', 'out_of_range', 'invalid_format', 'unknown_category'],
+                    example: 'out_of_range'
+                  },
+                  message: {
+                    type: 'string',
+                    example: 'weeks must be between 1 and 12'
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        Unauthorized: {
+          description: 'Missing, unknown or revoked API key',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' }
+            }
+          }
+        },
+        TooManyRequests: {
+          description: 'Rate limit or daily quota exceeded; retry after the number of seconds in Retry-After',
+          headers: {
+            'Retry-After': {
+              schema: { type: 'integer' },
+              description: 'Seconds until the request may be retried'
+            }
+          },
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' }
             }
           }
         }
+      },
+      securitySchemes: {
+        ApiKeyHeader: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
+        },
+        ApiKeyQuery: {
+          type: 'apiKey',
+          in: 'query',
+          name: 'api_key'
+        },
+        AdminToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'ADMIN_TOKEN of the server'
+        }
       }
     }
   },
   apis: ['./server.js'], // Path to the API docs
 };
 
-const specs = swaggerJsdoc(swaggerOptions);
+const specs = swaggerJsdoc(swaggerOptions);
+
+// Middleware
+// Uploaded calendars (POST /api/import-calendar) are sent as JSON, so the
+// body limit leaves room for them
+app.use(express.json({ limit: Math.ceil(MAX_IMPORT_LENGTH * 1.2) }));
+
+// Report malformed and oversized JSON bodies in the API's error format
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+    return res.status(error.status).json({ error: 'Invalid request', details: error.message });
+  }
+  next(error);
+});
+
+/**
+ * Proxies whose X-Forwarded-* headers are honoured, so feed URLs use the
+ * public host and protocol and per-IP rate limits count the client rather
+ * than the proxy. Off by default: a client could otherwise pick its own IP.
+ * TRUST_PROXY is a hop count ("1"), "true" for any proxy, or a comma-separated
+ * list of addresses, subnets or Express names ("loopback, 10.0.0.0/8").
+ */
+function trustProxySetting(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
+// API keys, rate limits and daily quotas of the public API endpoints
+// (see rate-limit.js); admin endpoints use the admin token instead
+const limited = limitRequests();
+
+/**
+ * Admin endpoints require `Authorization: Bearer <ADMIN_TOKEN>` and are
+ * disabled when ADMIN_TOKEN is not set.
+ */
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled', details: 'Set ADMIN_TOKEN to enable them' });
+  }
+  if (!isAdmin(req)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+// Whether the request carries `Authorization: Bearer <ADMIN_TOKEN>`
+function isAdmin(req) {
+  const token = process.env.ADMIN_TOKEN;
+  const authorization = req.get('Authorization') || '';
+  if (!token || !/^Bearer\s+/i.test(authorization)) return false;
+
+  const given = crypto.createHash('sha256').update(authorization.replace(/^Bearer\s+/i, '')).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// Key to put into subscription URLs: the one the request was authenticated with
+function subscriptionKey(req) {
+  return req.apiKey ? requestKey(req) : undefined;
+}
+
+// Serve static files - check multiple possible locations for Vercel compatibility
+if (fs.existsSync(path.join(__dirname, 'public'))) {
+  // Local development
+  app.use(express.static(path.join(__dirname, 'public')));
+} else if (fs.existsSync(path.join(__dirname, 'frontend/dist'))) {
+  // Vercel deployment
+  app.use(express.static(path.join(__dirname, 'frontend/dist')));
+}
+
+// Swagger UI
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
+  customCss: '.swagger-ui .topbar { display: none }',
+  customSiteTitle: 'Calendar API Documentation'
+}));
+
+// Generated calendars stay downloadable for SESSION_TTL seconds; the oldest are evicted beyond MAX_SESSIONS
+const SESSION_TTL = Number(process.env.SESSION_TTL) || 10 * 60;
+const MAX_SESSIONS = Number(process.env.MAX_SESSIONS) || 200;
+
+let sessions = null;
+
+/**
+ * The storage collection of generated calendars, opened on first use
+ */
+function sessionStore() {
+  if (!sessions) {
+    sessions = openCollection('sessions', { ttlSeconds: SESSION_TTL, maxEntries: MAX_SESSIONS });
+  }
+  return sessions;
+}
+
+function hashDeleteToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Stores a generated calendar for download. Only whoever generated it gets
+ * the delete token; the session keeps a hash of it.
+ *
+ * @param {Object} calendarData - Content, events, name, timezone and city of the calendar
+ * @returns {Promise<{sessionId: string, deleteToken: string}>}
+ */
+async function storeCalendarSession(calendarData) {
+  const sessionId = crypto.randomBytes(12).toString('base64url');
+  const deleteToken = crypto.randomBytes(18).toString('base64url');
+
+  await sessionStore().set(sessionId, {
+    ...calendarData,
+    deleteTokenHash: hashDeleteToken(deleteToken).toString('hex')
+  }, {
+    name: calendarData.name,
+    cityName: calendarData.cityName,
+    eventCount: calendarData.eventCount
+  });
+
+  return { sessionId, deleteToken };
+}
+
+/**
+ * Response for a calendar without events because its sources failed:
+ * 401 when PredictHQ refused the token, 502 when every source failed.
+ * Returns null when the sources simply had no matching events.
+ */
+function sourceFailure(sourceErrors) {
+  const authError = sourceErrors.find(error => error.source === 'predicthq' && (error.status === 401 || error.status === 403));
+  if (authError) {
+    return {
+      status: 401,
+      body: { error: 'PredictHQ authentication failed', details: authError.message, sourceErrors }
+    };
+  }
+  if (sourceErrors.length > 0) {
+    return {
+      status: 502,
+      body: { error: 'Event sources failed', details: sourceErrors.map(error => `${error.source}: ${error.message}`).join('; '), sourceErrors }
+    };
+  }
+  return null;
+}
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Search events
+ *     description: |
+ *       Returns the real events around a location as JSON, in the same normalized model as the
+ *       calendars, without creating a calendar or download session. Events can be narrowed by
+ *       categories, dates and a text query, sorted and paged with cursors. Duplicate listings
+ *       are merged; at most MAX_EVENTS of the most relevant events are searched.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: location
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "50km@52.5200,13.4050"
+ *         description: Location in format radius@latitude,longitude
+ *       - in: query
+ *         name: categories
+ *         required: false
+ *         schema:
+ *           type: string
+ *         example: "concerts,festivals"
+ *         description: Comma-separated list of event categories (default all main categories)
+ *       - in: query
+ *         name: start
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (default today)
+ *       - in: query
+ *         name: end
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day, inclusive (default start + weeks)
+ *       - in: query
+ *         name: weeks
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         description: Number of weeks when no end is given (default 4)
+ *       - in: query
+ *         name: timezone
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: IANA timezone of the days (default resolved from the coordinates)
+ *       - in: query
+ *         name: q
+ *         required: false
+ *         schema:
+ *           type: string
+ *         example: "jazz"
+ *         description: Only events containing every word in the title, description, place, category, labels or performers
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [start, rank, distance]
+ *           default: start
+ *         description: start is chronological, rank most relevant first, distance nearest first
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Events per page
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: nextCursor of the previous page; only valid with the same query and sort
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: One page of events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventsPage'
+ *       400:
+ *         description: Invalid query parameters or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, unknown or revoked API key, or PredictHQ authentication failed (with `sourceErrors`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       502:
+ *         description: Every event source failed; the failures are listed in `sourceErrors`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/api/events', limited, validateRequest('EventsQuery', 'query'), async (req, res) => {
+  try {
+    const { location, categories, weeks, start, end, timezone, q, sort = 'start', limit = 20, cursor } = req.query;
+
+    const fingerprint = queryFingerprint({ location, categories, weeks, start, end, timezone, q, sort });
+    const after = cursor ? decodeCursor(cursor, fingerprint) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        details: 'The cursor is malformed or belongs to a different query; request the first page again without a cursor'
+      });
+    }
+
+    const { events, timezone: calendarTimezone, range, truncation, cache, sourceErrors } = await buildCalendarEvents({
+      location,
+      categories,
+      weeks: weeks ? Number(weeks) : undefined,
+      start,
+      end,
+      timezone
+    });
+
+    if (events.length === 0) {
+      const failure = sourceFailure(sourceErrors);
+      if (failure) {
+        return res.status(failure.status).json(failure.body);
+      }
+    }
+
+    const matching = searchEvents(events, q);
+    const page = paginateEvents(matching, { sort, limit: Number(limit), after, fingerprint });
+
+    res.json({
+      events: page.events,
+      nextCursor: page.nextCursor,
+      total: matching.length,
+      sort,
+      timezone: calendarTimezone,
+      range,
+      truncated: truncation.truncated,
+      cache,
+      sourceErrors
+    });
+  } catch (error) {
+    console.error('Error searching events:', error.message);
+    res.status(500).json({
+      error: 'Failed to search events',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/generate-calendar:
+ *   post:
+ *     summary: Generate a calendar with events for a specific location
+ *     description: Creates a personalized iCalendar file with events based on location, categories, and duration preferences
+ *     tags: [Calendar]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CalendarRequest'
+ *           examples:
+ *             berlin:
+ *               summary: Berlin events for 4 weeks
+ *               value:
+ *                 location: "50km@52.5200,13.4050"
+ *                 categories: "concerts,festivals,sports"
+ *                 weeks: 4
+ *                 cityName: "Berlin"
+ *             london:
+ *               summary: London events for 2 weeks  
+ *               value:
+ *                 location: "50km@51.5074,-0.1278"
+ *                 categories: "public-holidays,festivals"
+ *                 weeks: 2
+ *                 cityName: "London"
+ *             reminders:
+ *               summary: Named, colored calendar with reminders
+ *               value:
+ *                 location: "50km@52.5200,13.4050"
+ *                 categories: "concerts,festivals"
+ *                 calendarName: "Berlin Concerts & Festivals"
+ *                 color: "#1E88E5"
+ *                 refreshInterval: 360
+ *                 reminders:
+ *                   festivals: 1440
+ *                   concerts: 120
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: Calendar generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarResponse'
+ *       400:
+ *         description: Bad request - invalid parameters, listed per field in `errors`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, unknown or revoked API key, or PredictHQ authentication failed (with `sourceErrors`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No events found for the specified criteria
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: Every event source failed; the failures are listed in `sourceErrors`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/generate-calendar', limited, validateRequest('CalendarRequest'), async (req, res) => {
+  try {
+    const {
+      location,
+      categories,
+      weeks = 4,
+      start,
+      end,
+      weekdays,
+      timeFrom,
+      timeTo,
+      minRank,
+      minLocalRank,
+      minAttendance,
+      keywords,
+      excludeKeywords,
+      cityName,
+      sources,
+      timezone,
+      mode = 'real',
+      seed,
+      maxEvents,
+      maxPerDay,
+      calendarName = cityName ? `${cityName} Events` : undefined,
+      color,
+      refreshInterval,
+      reminders
+    } = req.body;
+    
+    const {
+      events: normalizedEvents,
+      timezone: calendarTimezone,
+      range,
+      counts,
+      seed: sampleSeed,
+      truncation,
+      cache,
+      sourceErrors
+    } = await buildCalendarEvents({
+      location,
+      categories,
+      weeks,
+      start,
+      end,
+      weekdays,
+      timeFrom,
+      timeTo,
+      minRank,
+      minLocalRank,
+      minAttendance,
+      keywords,
+      excludeKeywords,
+      cityName,
+      sources: requestSources(sources),
+      timezone,
+      mode,
+      seed,
+      maxEvents,
+      maxPerDay
+    });
+
+    if (normalizedEvents.length === 0) {
+      const failure = sourceFailure(sourceErrors);
+      if (failure) {
+        return res.status(failure.status).json(failure.body);
+      }
+      return res.status(404).json({
+        error: 'No events found for the specified criteria',
+        details: mode === 'real' ? 'Set mode to "mixed" or "synthetic" to include sample events' : undefined
+      });
+    }
+
+    const icsContent = generateICalendar(normalizedEvents, {
+      name: calendarName,
+      timezone: calendarTimezone,
+      color,
+      refreshInterval,
+      reminders
+    });
+    
+    const { sessionId, deleteToken } = await storeCalendarSession({
+      content: icsContent,
+      events: normalizedEvents,
+      name: calendarName,
+      timezone: calendarTimezone,
+      eventCount: normalizedEvents.length,
+      cityName: cityName || 'Unknown'
+    });
+    
+    res.json({
+      success: true,
+      downloadUrl: `/api/download/${sessionId}`,
+      eventCount: normalizedEvents.length,
+      message: counts.synthetic > 0
+        ? `Calendar generated successfully with ${counts.real} real and ${counts.synthetic} sample events`
+        : 'Calendar generated successfully',
+      mode,
+      counts,
+      seed: sampleSeed,
+      range,
+      truncation,
+      cache,
+      sourceErrors,
+      events: normalizedEvents, // Include events data for frontend display
+      sessionId: sessionId,
+      deleteToken
+    });
+
+  } catch (error) {
+    console.error('Error generating calendar:', error.message);
+    
+    res.status(500).json({ 
+      error: 'Failed to generate calendar',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/import-calendar:
+ *   post:
+ *     summary: Combine your own calendar with discovered events
+ *     description: |
+ *       Parses an uploaded .ics file (recurring events are expanded within the date range) and
+ *       combines it with the events discovered for the request. The `merged` variant contains
+ *       both; the `free-slots` variant only the discovered events that do not overlap your busy
+ *       times (cancelled and transparent events are free, all-day events only when marked OPAQUE).
+ *       The result is downloaded like a generated calendar.
+ *     tags: [Calendar]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportRequest'
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: Calendar combined successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportResponse'
+ *       400:
+ *         description: Bad request - invalid parameters or a calendar without events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No events in the combined calendar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/import-calendar', limited, validateRequest('ImportRequest'), async (req, res) => {
+  try {
+    const {
+      ics,
+      variant = 'merged',
+      location,
+      categories,
+      weeks = 4,
+      start,
+      end,
+      weekdays,
+      timeFrom,
+      timeTo,
+      minRank,
+      minLocalRank,
+      minAttendance,
+      keywords,
+      excludeKeywords,
+      cityName,
+      sources,
+      timezone,
+      mode = 'real',
+      seed,
+      maxEvents,
+      maxPerDay,
+      calendarName = cityName ? `${cityName} Events` : undefined,
+      color,
+      refreshInterval,
+      reminders
+    } = req.body;
+
+    const discovered = await buildCalendarEvents({
+      location,
+      categories,
+      weeks,
+      start,
+      end,
+      weekdays,
+      timeFrom,
+      timeTo,
+      minRank,
+      minLocalRank,
+      minAttendance,
+      keywords,
+      excludeKeywords,
+      cityName,
+      sources: requestSources(sources),
+      timezone,
+      mode,
+      seed,
+      maxEvents,
+      maxPerDay
+    });
+
+    const range = resolveDateRange({ ...discovered.range, timezone: discovered.timezone });
+    const imported = importCalendar(ics, { range, timezone: discovered.timezone });
+    if (imported.total === 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: 'The uploaded calendar contains no events'
+      });
+    }
+
+    const { events: freeEvents, dropped } = removeBusyOverlaps(discovered.events, imported.busy);
+    const events = (variant === 'free-slots' ? freeEvents : [...imported.events, ...discovered.events])
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+    if (events.length === 0) {
+      return res.status(404).json({
+        error: 'No events found for the specified criteria',
+        details: variant === 'free-slots' ? 'Every discovered event overlaps your busy times' : undefined,
+        sourceErrors: discovered.sourceErrors
+      });
+    }
+
+    const icsContent = generateICalendar(events, {
+      name: calendarName,
+      timezone: discovered.timezone,
+      color,
+      refreshInterval,
+      reminders
+    });
+
+    const { sessionId, deleteToken } = await storeCalendarSession({
+      content: icsContent,
+      events,
+      name: calendarName,
+      timezone: discovered.timezone,
+      eventCount: events.length,
+      cityName: cityName || 'Unknown'
+    });
+
+    res.json({
+      success: true,
+      downloadUrl: `/api/download/${sessionId}`,
+      eventCount: events.length,
+      message: variant === 'free-slots'
+        ? `Found ${freeEvents.length} events in your free time`
+        : `Combined ${imported.events.length} of your events with ${discovered.events.length} discovered events`,
+      variant,
+      mode: discovered.mode,
+      counts: discovered.counts,
+      imported: {
+        events: imported.events.length,
+        busySlots: imported.busy.length,
+        droppedBusy: dropped
+      },
+      seed: discovered.seed,
+      range: discovered.range,
+      truncation: discovered.truncation,
+      cache: discovered.cache,
+      sourceErrors: discovered.sourceErrors,
+      events,
+      sessionId,
+      deleteToken
+    });
+
+  } catch (error) {
+    console.error('Error importing calendar:', error.message);
+    res.status(500).json({
+      error: 'Failed to import calendar',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/download/{sessionId}:
+ *   get:
+ *     summary: Download calendar file by session ID
+ *     description: Downloads the calendar for a specific session as iCalendar (.ics) or another export format. Files are available for SESSION_TTL seconds (default 10 minutes) after generation, also across restarts with the file or sqlite storage backend.
+ *     tags: [Download]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session identifier from the generate-calendar response
+ *         example: "Jx1vQ7mZk3Lr0bT9"
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [ics, jcal, json, csv, rss, atom]
+ *         description: Export format (default - negotiated from the Accept header, iCalendar when any type is accepted)
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: iCalendar file download
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 BEGIN:VCALENDAR
+ *                 VERSION:2.0
+ *                 PRODID:-//your-ical//Calendar Generator//EN
+ *                 BEGIN:VEVENT
+ *                 UID:event-123
+ *                 DTSTART:20231201T100000Z
+ *                 DTEND:20231201T120000Z
+ *                 SUMMARY:Sample Event
+ *                 END:VEVENT
+ *                 END:VCALENDAR
+ *           application/calendar+json:
+ *             schema:
+ *               type: array
+ *               description: jCal (RFC 7265)
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               description: Calendar name, timezone and normalized events
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown export format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Calendar session not found or expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Calendar session not found or expired"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api/download/:sessionId', limited, validateRequest('ExportQuery', 'query'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const calendarData = await sessionStore().get(sessionId);
+    
+    if (!calendarData) {
+      return res.status(404).json({ 
+        error: 'Calendar session not found or expired. Please generate a new calendar.' 
+      });
+    }
+    
+    const format = negotiateFormat(req);
+    const filename = `${calendarData.cityName.replace(/[^a-zA-Z0-9]/g, '-')}-events-${sessionId}.${EXPORT_FORMATS[format].extension}`;
+    
+    // Set appropriate headers for file download
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Vary', 'Accept');
+    
+    // The session stays available (until it expires) so it can be
+    // downloaded in several formats
+    res.send(renderEvents(format, calendarData.events, {
+      name: calendarData.name,
+      timezone: calendarData.timezone,
+      icsContent: calendarData.content
+    }));
+    
+  } catch (error) {
+    console.error('Error downloading calendar:', error.message);
+    res.status(500).json({ 
+      error: 'Failed to download calendar',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions:
+ *   get:
+ *     summary: List generated calendars
+ *     description: Lists the generated calendars that can still be downloaded, oldest first. Admin only, as the list holds every download URL.
+ *     tags: [Download]
+ *     security:
+ *       - AdminToken: []
+ *     responses:
+ *       200:
+ *         description: Stored calendar sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Missing or wrong admin token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: ADMIN_TOKEN is not set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/api/sessions', requireAdmin, async (req, res) => {
+  try {
+    const entries = await sessionStore().list();
+
+    res.json(entries.map(entry => ({
+      sessionId: entry.key,
+      ...entry.meta,
+      downloadUrl: `/api/download/${entry.key}`,
+      createdAt: entry.storedAt,
+      expiresAt: entry.expiresAt
+    })));
+  } catch (error) {
+    console.error('Error listing sessions:', error.message);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}:
+ *   delete:
+ *     summary: Delete a generated calendar
+ *     description: |
+ *       Deletes the calendar before it expires; its download URL stops working. Requires the
+ *       `deleteToken` of the generate-calendar (or import-calendar) response in the
+ *       X-Delete-Token header, or the admin token.
+ *     tags: [Download]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session identifier from the generate-calendar response
+ *       - in: header
+ *         name: X-Delete-Token
+ *         schema:
+ *           type: string
+ *         description: deleteToken from the generate-calendar response
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       204:
+ *         description: Session deleted
+ *       403:
+ *         description: Missing or wrong delete token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Calendar session not found or expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.delete('/api/sessions/:sessionId', limited, async (req, res) => {
+  try {
+    const calendarData = await sessionStore().get(req.params.sessionId);
+    if (!calendarData) {
+      return res.status(404).json({ error: 'Calendar session not found or expired' });
+    }
+
+    const token = req.get('X-Delete-Token');
+    const owner = token && calendarData.deleteTokenHash &&
+      crypto.timingSafeEqual(hashDeleteToken(token), Buffer.from(calendarData.deleteTokenHash, 'hex'));
+    if (!owner && !isAdmin(req)) {
+      return res.status(403).json({
+        error: 'Not allowed to delete this calendar',
+        details: 'Send the deleteToken of the generate-calendar response in the X-Delete-Token header'
+      });
+    }
+
+    await sessionStore().delete(req.params.sessionId);
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting session:', error.message);
+    res.status(500).json({
+      error: 'Failed to delete session',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Builds the public base URL of the current request (protocol and host)
+ */
+function baseUrlFor(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Public URL of the current request without its API key, for links that
+ * end up in published documents
+ */
+function publicUrlFor(req) {
+  const url = new URL(req.originalUrl, baseUrlFor(req));
+  url.searchParams.delete('api_key');
+  return `${baseUrlFor(req)}${url.pathname}${url.search}`;
+}
+
+/**
+ * Cache-Control for cacheable responses: responses to requests with an API
+ * key are private, so shared caches neither store nor share them
+ */
+function cacheControl(req, maxAge) {
+  return `${req.apiKey ? 'private' : 'public'}, max-age=${maxAge}`;
+}
+
+/**
+ * @swagger
+ * /api/feeds:
+ *   post:
+ *     summary: Save a subscribable calendar feed
+ *     description: Saves a calendar request under a stable ID. The returned feed URL (or its webcal:// variant) can be subscribed to from Google Calendar, Apple Calendar or Outlook, and fresh events are built on every poll.
+ *     tags: [Feeds]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeedRequest'
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       201:
+ *         description: Feed created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Feed'
+ *       400:
+ *         description: Bad request - invalid parameters, listed per field in `errors`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.post('/api/feeds', limited, validateRequest('FeedRequest'), async (req, res) => {
+  try {
+    const {
+      location,
+      categories,
+      weeks = 4,
+      start,
+      end,
+      weekdays,
+      timeFrom,
+      timeTo,
+      minRank,
+      minLocalRank,
+      minAttendance,
+      keywords,
+      excludeKeywords,
+      cityName,
+      name,
+      calendarName,
+      color,
+      refreshInterval,
+      reminders,
+      sources,
+      timezone,
+      mode = 'real',
+      seed,
+      maxEvents,
+      maxPerDay
+    } = req.body;
+
+    const feed = await feeds.createFeed({
+      location,
+      categories,
+      weeks,
+      start,
+      end,
+      weekdays,
+      timeFrom,
+      timeTo,
+      minRank,
+      minLocalRank,
+      minAttendance,
+      keywords,
+      excludeKeywords,
+      cityName,
+      name: name || calendarName,
+      color,
+      refreshInterval,
+      reminders,
+      sources: requestSources(sources),
+      timezone,
+      mode,
+      seed,
+      maxEvents,
+      maxPerDay
+    });
+
+    res.status(201).json({
+      ...feed,
+      ...feeds.feedUrls(feed, baseUrlFor(req), subscriptionKey(req))
+    });
+  } catch (error) {
+    console.error('Error creating feed:', error.message);
+    res.status(500).json({
+      error: 'Failed to create feed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/feeds/{id}:
+ *   get:
+ *     summary: Get a saved feed
+ *     description: Returns the feed definition and its subscription URLs
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feed identifier
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: Feed definition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Feed'
+ *       404:
+ *         description: Feed not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   delete:
+ *     summary: Delete a saved feed
+ *     description: |
+ *       Deletes the feed. Subscribed calendars will get a 404 on their next poll. Requires the
+ *       `deleteToken` of the create-feed response in the X-Delete-Token header, or the admin token.
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feed identifier
+ *       - in: header
+ *         name: X-Delete-Token
+ *         schema:
+ *           type: string
+ *         description: deleteToken from the create-feed response
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       204:
+ *         description: Feed deleted
+ *       403:
+ *         description: Missing or wrong delete token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Feed not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api/feeds/:id', limited, async (req, res) => {
+  try {
+    const feed = await feeds.getFeed(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    res.json({
+      ...feeds.publicFeed(feed),
+      ...feeds.feedUrls(feed, baseUrlFor(req), subscriptionKey(req))
+    });
+  } catch (error) {
+    console.error('Error reading feed:', error.message);
+    res.status(500).json({
+      error: 'Failed to read feed',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/feeds/:id', limited, async (req, res) => {
+  try {
+    const feed = await feeds.getFeed(req.params.id);
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    if (!feeds.isDeleteToken(feed, req.get('X-Delete-Token')) && !isAdmin(req)) {
+      return res.status(403).json({
+        error: 'Not allowed to delete this feed',
+        details: 'Send the deleteToken of the create-feed response in the X-Delete-Token header'
+      });
+    }
+
+    await feeds.deleteFeed(feed.id);
+    calDAVBuilds.delete(feed.id);
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting feed:', error.message);
+    res.status(500).json({
+      error: 'Failed to delete feed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Builds the current events of a saved feed. UIDs and sequences are kept
+ * consistent with the previous refresh (see event-history.js), so clients
+ * update entries in place and drop cancelled ones.
+ *
+ * When sources failed and no real event was fetched, the history is left
+ * alone: the previous events are served again, or `failure` (see
+ * sourceFailure) is set when the feed has never been built.
+ *
+ * @param {Object} feed - Stored feed
+ * @returns {Promise<{events?: Object[], timezone?: string, failure?: Object}>}
+ */
+async function buildFeedEvents(feed) {
+  const { events, timezone, counts, sourceErrors } = await buildCalendarEvents({
+    location: feed.location,
+    categories: feed.categories,
+    weeks: feed.weeks,
+    start: feed.start,
+    end: feed.end,
+    weekdays: feed.weekdays,
+    timeFrom: feed.timeFrom,
+    timeTo: feed.timeTo,
+    minRank: feed.minRank ?? undefined,
+    minLocalRank: feed.minLocalRank ?? undefined,
+    minAttendance: feed.minAttendance ?? undefined,
+    keywords: feed.keywords,
+    excludeKeywords: feed.excludeKeywords,
+    cityName: feed.cityName,
+    sources: requestSources(feed.sources),
+    timezone: feed.timezone,
+    mode: feed.mode || 'real',
+    seed: feed.seed,
+    maxEvents: feed.maxEvents || undefined,
+    maxPerDay: feed.maxPerDay || undefined
+  });
+
+  const previous = await feeds.getFeedHistory(feed.id);
+  if (sourceErrors.length > 0 && counts.real === 0) {
+    if (Object.keys(previous).length === 0) return { failure: sourceFailure(sourceErrors) };
+
+    console.log(`Sources of feed ${feed.id} failed, serving its previous events`);
+    return { events: applySeriesHistory(replayEventHistory(previous), previous, previous, timezone).events, timezone };
+  }
+
+  const tracked = applyEventHistory(events, previous);
+  const { events: trackedEvents, history } = applySeriesHistory(tracked.events, tracked.history, previous, timezone);
+  await feeds.saveFeedHistory(feed.id, history);
+  return { events: trackedEvents, timezone };
+}
+
+/**
+ * @swagger
+ * /feeds/{id}.ics:
+ *   get:
+ *     summary: Subscribe to a saved feed
+ *     description: Returns the feed as an iCalendar file with events rebuilt on every request. Use this URL (or its webcal:// variant) as a calendar subscription. Other export formats are available with the format parameter or Accept header.
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feed identifier
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [ics, jcal, json, csv, rss, atom]
+ *         description: Export format (default - negotiated from the Accept header, iCalendar when any type is accepted)
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *           application/calendar+json:
+ *             schema:
+ *               type: array
+ *               description: jCal (RFC 7265)
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               description: Calendar name, timezone and normalized events
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown export format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Feed not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       502:
+ *         description: The event sources failed before the feed was ever built; later failures serve the previous events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/feeds/:id.ics', limited, validateRequest('ExportQuery', 'query'), async (req, res) => {
+  try {
+    const feed = await feeds.getFeed(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const { events: trackedEvents, timezone, failure } = await buildFeedEvents(feed);
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    const format = negotiateFormat(req);
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${feed.id}.${EXPORT_FORMATS[format].extension}"`);
+    res.setHeader('Cache-Control', cacheControl(req, 3600));
+    res.setHeader('Vary', 'Accept');
+    res.send(renderEvents(format, trackedEvents, {
+      name: feed.name,
+      timezone,
+      calendar: { color: feed.color, refreshInterval: feed.refreshInterval, reminders: feed.reminders },
+      link: publicUrlFor(req)
+    }));
+
+  } catch (error) {
+    console.error('Error building feed:', error.message);
+    res.status(500).json({
+      error: 'Failed to build feed',
+      details: error.message
+    });
+  }
+});
+
+// CalDAV request bodies are XML, with or without a Content-Type
+app.use('/caldav', express.text({ type: () => true, limit: '1mb' }));
+app.use('/caldav', (req, res, next) => {
+  res.setHeader('DAV', caldav.DAV_HEADER);
+  res.setHeader('Allow', caldav.ALLOWED_METHODS);
+  next();
+});
+// CalDAV clients send the API key as the password of Basic authentication
+app.use('/caldav', limitRequests({ challenge: true }));
+
+// Minutes a CalDAV build of a feed without refreshInterval is reused
+const CALDAV_DEFAULT_REFRESH_MINUTES = 15;
+
+// feed ID -> { startedAt, pending } of the last CalDAV build
+const calDAVBuilds = new Map();
+
+/**
+ * Events of a feed for CalDAV. One client sync sends several requests, so
+ * a build is shared by all requests within the feed's refresh interval
+ * rather than fetching the sources and writing the history each time.
+ * Failed builds are not kept.
+ */
+function calDAVFeedEvents(feed) {
+  const now = Date.now();
+  const maxAge = (feed.refreshInterval || CALDAV_DEFAULT_REFRESH_MINUTES) * 60 * 1000;
+  const build = calDAVBuilds.get(feed.id);
+  if (build && now - build.startedAt < maxAge) return build.pending;
+
+  // Drop builds of other feeds that ran out, so the map does not grow without bound
+  for (const [id, other] of calDAVBuilds) {
+    if (now - other.startedAt >= other.maxAge) calDAVBuilds.delete(id);
+  }
+
+  const pending = buildFeedEvents(feed);
+  calDAVBuilds.set(feed.id, { startedAt: now, maxAge, pending });
+  const forget = () => {
+    if (calDAVBuilds.get(feed.id)?.pending === pending) calDAVBuilds.delete(feed.id);
+  };
+  pending.then(result => result.failure && forget(), forget);
+  return pending;
+}
+
+/**
+ * Loads a feed and its current events for a CalDAV request. Cancelled
+ * events are left out: CalDAV clients drop resources that disappear.
+ * Sends a 404 and resolves to null when the feed does not exist.
+ */
+async function loadCalDAVFeed(req, res) {
+  const feed = await feeds.getFeed(req.params.feedId);
+  if (!feed) {
+    res.status(404).json({ error: 'Feed not found' });
+    return null;
+  }
+
+  const { events, timezone, failure } = await calDAVFeedEvents(feed);
+  if (failure) {
+    res.status(failure.status).json(failure.body);
+    return null;
+  }
+  const homeHref = `/caldav/${feed.id}/`;
+  return {
+    feed,
+    timezone,
+    events: events.filter(event => event.status !== 'cancelled'),
+    homeHref,
+    calendarHref: `${homeHref}events/`
+  };
+}
+
+function calDAVHome({ feed, homeHref }) {
+  return { href: homeHref, props: caldav.resourceProps({ kind: 'home', homeHref, displayName: feed.name }) };
+}
+
+function calDAVCalendar({ feed, events, homeHref, calendarHref }) {
+  return {
+    href: calendarHref,
+    props: caldav.resourceProps({
+      kind: 'calendar',
+      homeHref,
+      displayName: feed.name,
+      description: feed.cityName ? `Events in ${feed.cityName}` : feed.name,
+      color: feed.color,
+      ctag: caldav.collectionTag(events)
+    })
+  };
+}
+
+// Every event is its own VCALENDAR, rendered like the feed
+function calDAVEvent({ feed, timezone, homeHref, calendarHref }, event, withData) {
+  return {
+    href: `${calendarHref}${caldav.eventResourceName(event)}`,
+    props: caldav.resourceProps({
+      kind: 'event',
+      homeHref,
+      etag: caldav.eventEtag(event),
+      lastModified: event.lastModified,
+      ics: withData ? generateICalendar([event], { name: feed.name, timezone, reminders: feed.reminders }) : undefined
+    })
+  };
+}
+
+function wantsCalendarData(props) {
+  return Boolean(props && props.some(name => name.endsWith('}calendar-data')));
+}
+
+function sendMultistatus(res, responses, props) {
+  res.status(207);
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.send(caldav.multistatus(responses, props));
+}
+
+app.options('/caldav/*', (req, res) => {
+  res.status(200).end();
+});
+
+// Principal and calendar home of a feed; Depth 1 lists its calendar
+app.propfind('/caldav/:feedId', async (req, res) => {
+  try {
+    const context = await loadCalDAVFeed(req, res);
+    if (!context) return;
+
+    const { props } = caldav.parsePropfind(req.body);
+    const responses = [calDAVHome(context)];
+    if (req.get('Depth') !== '0') responses.push(calDAVCalendar(context));
+    sendMultistatus(res, responses, props);
+  } catch (error) {
+    console.error('Error answering CalDAV PROPFIND:', error.message);
+    res.status(500).json({ error: 'Failed to read calendar', details: error.message });
+  }
+});
+
+// The calendar collection; Depth 1 lists its events
+app.propfind('/caldav/:feedId/events', async (req, res) => {
+  try {
+    const context = await loadCalDAVFeed(req, res);
+    if (!context) return;
+
+    const { props } = caldav.parsePropfind(req.body);
+    const responses = [calDAVCalendar(context)];
+    if (req.get('Depth') !== '0') {
+      responses.push(...context.events.map(event => calDAVEvent(context, event, wantsCalendarData(props))));
+    }
+    sendMultistatus(res, responses, props);
+  } catch (error) {
+    console.error('Error answering CalDAV PROPFIND:', error.message);
+    res.status(500).json({ error: 'Failed to read calendar', details: error.message });
+  }
+});
+
+function findCalDAVEvent(events, name) {
+  return events.find(event => `${event.uid}.ics` === name) || null;
+}
+
+app.propfind('/caldav/:feedId/events/:name', async (req, res) => {
+  try {
+    const context = await loadCalDAVFeed(req, res);
+    if (!context) return;
+
+    const event = findCalDAVEvent(context.events, req.params.name);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const { props } = caldav.parsePropfind(req.body);
+    sendMultistatus(res, [calDAVEvent(context, event, wantsCalendarData(props))], props);
+  } catch (error) {
+    console.error('Error answering CalDAV PROPFIND:', error.message);
+    res.status(500).json({ error: 'Failed to read calendar', details: error.message });
+  }
+});
+
+// calendar-query (optionally limited by a time-range filter) and calendar-multiget
+app.report('/caldav/:feedId/events', async (req, res) => {
+  try {
+    const report = caldav.parseReport(req.body);
+    if (report.type !== 'calendar-query' && report.type !== 'calendar-multiget') {
+      res.status(403);
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      return res.send('<?xml version="1.0" encoding="utf-8"?>\n<d:error xmlns:d="DAV:"><d:supported-report/></d:error>');
+    }
+
+    const context = await loadCalDAVFeed(req, res);
+    if (!context) return;
+
+    const withData = wantsCalendarData(report.props);
+    let responses;
+    if (report.type === 'calendar-query') {
+      responses = caldav.filterByTimeRange(context.events, report.timeRange)
+        .map(event => calDAVEvent(context, event, withData));
+    } else {
+      responses = report.hrefs.map(href => {
+        const name = decodeURIComponent(href.split('/').pop());
+        const event = findCalDAVEvent(context.events, name);
+        return event ? calDAVEvent(context, event, withData) : { href, status: '404 Not Found' };
+      });
+    }
+    sendMultistatus(res, responses, report.props);
+  } catch (error) {
+    console.error('Error answering CalDAV REPORT:', error.message);
+    res.status(500).json({ error: 'Failed to read calendar', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /caldav/{feedId}/events/{uid}.ics:
+ *   get:
+ *     summary: Get one event of a feed (CalDAV)
+ *     description: |
+ *       Read-only CalDAV access to saved feeds. Point a CalDAV client (Thunderbird, DAVx5) at
+ *       `/caldav/{feedId}/` to discover the feed's calendar at `/caldav/{feedId}/events/`, or use
+ *       the calendar URL directly. PROPFIND (Depth 0 or 1), REPORT calendar-query with a
+ *       time-range filter and calendar-multiget are supported besides this GET. Each event is
+ *       one iCalendar resource with an ETag that changes when the event changes.
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: path
+ *         name: feedId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feed identifier
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: UID of the event (URL-encoded)
+ *       - in: header
+ *         name: If-None-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag from an earlier response or REPORT
+ *     responses:
+ *       200:
+ *         description: The event as an iCalendar file
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: The event did not change since the given ETag
+ *       404:
+ *         description: Feed or event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/caldav/:feedId/events/:name', async (req, res) => {
+  try {
+    const context = await loadCalDAVFeed(req, res);
+    if (!context) return;
+
+    const event = findCalDAVEvent(context.events, req.params.name);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const etag = caldav.eventEtag(event);
+    res.setHeader('ETag', etag);
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(generateICalendar([event], { name: context.feed.name, timezone: context.timezone, reminders: context.feed.reminders }));
+  } catch (error) {
+    console.error('Error reading CalDAV event:', error.message);
+    res.status(500).json({ error: 'Failed to read event', details: error.message });
+  }
+});
+
+// The CalDAV view is read-only
+app.all('/caldav/*', (req, res) => {
+  res.status(405).json({
+    error: 'Method not allowed',
+    details: `CalDAV calendars are read-only; allowed methods are ${caldav.ALLOWED_METHODS}`
+  });
+});
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List scheduled calendar jobs
+ *     description: Returns the calendar jobs from the job configuration (JOBS_FILE) with the status of their last run
+ *     tags: [Scheduled Calendars]
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: Configured jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Job'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api/jobs', limited, (req, res) => {
+  res.json(scheduler.listJobStatus().map(job => ({
+    ...job,
+    calendarUrl: `${baseUrlFor(req)}/calendars/${job.name}.ics`
+  })));
+});
+
+/**
+ * @swagger
+ * /calendars/{name}.ics:
+ *   get:
+ *     summary: Get a scheduled calendar
+ *     description: Returns the iCalendar file last written by the named calendar job
+ *     tags: [Scheduled Calendars]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job name
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: The job has not produced a calendar yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/calendars/:name.ics', limited, (req, res) => {
+  const job = scheduler.getJob(req.params.name);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Calendar not found' });
+  }
+
+  const icsPath = scheduler.calendarPath(job.name);
+  if (!fs.existsSync(icsPath)) {
+    return res.status(503).json({
+      error: 'Calendar not generated yet',
+      details: 'The calendar job has not completed a run yet, see GET /api/jobs'
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${job.name}.ics"`);
+  res.sendFile(icsPath);
+});
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get available event categories
+ *     description: Returns a list of all available event categories that can be used when generating calendars
+ *     tags: [Categories]
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: List of available categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Category'
+ *             example:
+ *               - value: "public-holidays"
+ *                 label: "Public Holidays"
+ *                 description: "National and regional public holidays"
+ *                 icon: "flag"
+ *                 main: true
+ *               - value: "concerts"
+ *                 label: "Concerts"
+ *                 description: "Live music from club gigs to stadium tours"
+ *                 icon: "music"
+ *                 main: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api/categories', limited, (req, res) => {
+  res.json(listCategories());
+});
+
+/**
+ * @swagger
+ * /api/categories/facets:
+ *   get:
+ *     summary: Count events per category
+ *     description: Returns how many real events each category has within the radius and date range, so empty categories can be told apart before generating a calendar. PredictHQ counts come from its count query and cover the radius rounded up to whole kilometres; sample events are not counted.
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: location
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "50km@52.5200,13.4050"
+ *         description: Location in format radius@latitude,longitude
+ *       - in: query
+ *         name: start
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (default today)
+ *       - in: query
+ *         name: end
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day, inclusive (default start + weeks)
+ *       - in: query
+ *         name: weeks
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         description: Number of weeks when no end is given (default 4)
+ *       - in: query
+ *         name: timezone
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: IANA timezone of the days (default resolved from the coordinates)
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: Event counts per category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CategoryFacets'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Failed to count events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/api/categories/facets', limited, validateRequest('CategoryFacetsQuery', 'query'), async (req, res) => {
+  try {
+    const { location, weeks, start, end, timezone } = req.query;
+
+    const facets = await countCategoryEvents({
+      location,
+      weeks: weeks ? Number(weeks) : undefined,
+      start,
+      end,
+      timezone
+    });
 
-// Middleware
-app.use(express.json());
+    res.json(facets);
+  } catch (error) {
+    console.error('Error counting events per category:', error.message);
+    res.status(500).json({
+      error: 'Failed to count events per category',
+      details: error.message
+    });
+  }
+});
 
-// Serve static files - check multiple possible locations for Vercel compatibility
-if (fs.existsSync(path.join(__dirname, 'public'))) {
-  // Local development
-  app.use(express.static(path.join(__dirname, 'public')));
-} else if (fs.existsSync(path.join(__dirname, 'frontend/dist'))) {
-  // Vercel deployment
-  app.use(express.static(path.join(__dirname, 'frontend/dist')));
-}
+/**
+ * @swagger
+ * /api/geocode:
+ *   get:
+ *     summary: Search places by name
+ *     description: Looks up cities, towns and villages through OpenStreetMap Nominatim (cached, at most one upstream request per second) and falls back to an offline GeoNames gazetteer when Nominatim is unavailable. Every result includes the timezone and country code of the place.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Place name, e.g. Berlin or "Springfield, US"
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *         description: Maximum number of results (default 6)
+ *       - in: query
+ *         name: language
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Preferred language of the place names (default - the Accept-Language header)
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     responses:
+ *       200:
+ *         description: Matching places
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GeocodeResponse'
+ *       400:
+ *         description: Missing or invalid query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api/geocode', limited, validateRequest('GeocodeQuery', 'query'), async (req, res) => {
+  try {
+    const { q, limit = 6 } = req.query;
+    // Only the preferred language tag, so equal searches share cache entries
+    const language = req.query.language || (req.get('Accept-Language') || '').split(',')[0].split(';')[0].trim() || undefined;
 
-// Swagger UI
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
-  customCss: '.swagger-ui .topbar { display: none }',
-  customSiteTitle: 'Calendar API Documentation'
-}));
+    const { results, source, cache } = await geocode(q, { limit: Number(limit), language });
 
-// PredictHQ API constants
-const PREDICTHQ_API_URL = 'https://api.predicthq.com/v1/events/';
-const PREDICTHQ_TOKEN = process.env.PREDICTHQ_TOKEN;
-
-// Helper function to generate location-specific sample events
-function generateLocationEvents(locationInfo, categories, weeks) {
-  const events = [];
-  const categoryList = categories.split(',');
-  const startDate = new Date();
-  // Start events from tomorrow instead of today
-  startDate.setDate(startDate.getDate() + 1);
-  
-  // Extract city name from location coordinates or use a default
-  const cityName = locationInfo.cityName || 'Local Area';
-  
-  // Sample event templates for different categories
-  const eventTemplates = {
-    'public-holidays': [
-      `${cityName} Public Holiday Celebration`,
-      `National Day in ${cityName}`,
-      `${cityName} Heritage Festival`
-    ],
-    'festivals': [
-      `${cityName} Music Festival`,
-      `${cityName} Art & Culture Festival`,
-      `${cityName} Food & Wine Festival`,
-      `${cityName} International Film Festival`,
-      `${cityName} Street Art Festival`
-    ],
-    'concerts': [
-      `Classical Concert at ${cityName} Concert Hall`,
-      `Jazz Night in ${cityName}`,
-      `Rock Concert - ${cityName} Arena`,
-      `Chamber Music at ${cityName} Opera House`,
-      `Electronic Music Festival ${cityName}`
-    ],
-    'sports': [
-      `${cityName} Football Match`,
-      `${cityName} Basketball Tournament`,
-      `${cityName} Marathon`,
-      `Tennis Open ${cityName}`,
-      `${cityName} Cycling Championship`
-    ],
-    'academic': [
-      `${cityName} University Conference`,
-      `Research Symposium ${cityName}`,
-      `Academic Workshop at ${cityName}`,
-      `Student Exchange Program ${cityName}`
-    ],
-    'conferences': [
-      `Tech Conference ${cityName}`,
-      `Business Summit ${cityName}`,
-      `Innovation Forum ${cityName}`,
-      `Startup Meetup ${cityName}`
-    ],
-    'performing-arts': [
-      `Theatre Performance ${cityName}`,
-      `Opera Gala ${cityName}`,
-      `Ballet Show ${cityName}`,
-      `Comedy Night ${cityName}`
-    ]
-  };
-  
-  // Generate events for the specified duration
-  for (let week = 0; week < weeks; week++) {
-    for (let day = 0; day < 7; day++) {
-      const eventDate = new Date(startDate);
-      eventDate.setDate(startDate.getDate() + (week * 7) + day);
-      
-      // Generate 2-3 events per day
-      const eventsPerDay = Math.floor(Math.random() * 2) + 2;
-      
-      for (let i = 0; i < eventsPerDay; i++) {
-        const category = categoryList[Math.floor(Math.random() * categoryList.length)];
-        const templates = eventTemplates[category] || eventTemplates['festivals'];
-        const title = templates[Math.floor(Math.random() * templates.length)];
-        
-        // Create realistic event start times (9 AM to 8 PM)
-        const eventStartTime = new Date(eventDate);
-        const startHour = 9 + Math.floor(Math.random() * 12); // 9 AM to 8 PM
-        const startMinute = Math.random() > 0.5 ? 0 : 30; // Either :00 or :30
-        eventStartTime.setHours(startHour, startMinute, 0, 0);
-        
-        // Event duration: 1-4 hours
-        const durationHours = 1 + Math.random() * 3;
-        const eventEndTime = new Date(eventStartTime.getTime() + durationHours * 60 * 60 * 1000);
-        
-        events.push({
-          title: title,
-          start: eventStartTime.toISOString(),
-          end: eventEndTime.toISOString(),
-          category: category
-        });
-      }
-    }
+    res.setHeader('Cache-Control', cacheControl(req, 3600));
+    res.json({ query: q, source, cache, results });
+  } catch (error) {
+    console.error('Error searching places:', error.message);
+    res.status(500).json({
+      error: 'Failed to search places',
+      details: error.message
+    });
   }
-  
-  return events.slice(0, 140); // Limit to reasonable number
-}
+});
 
 /**
  * @swagger
- * /api/generate-calendar:
+ * /api/admin/keys:
  *   post:
- *     summary: Generate a calendar with events for a specific location
- *     description: Creates a personalized iCalendar file with events based on location, categories, and duration preferences
- *     tags: [Calendar]
+ *     summary: Issue an API key
+ *     description: |
+ *       Issues a key for the rate-limited endpoints. The key is only returned
+ *       in this response; the server keeps a hash of it. Clients send it in
+ *       the X-API-Key header, the api_key query parameter (feed URLs) or as the
+ *       password of HTTP Basic authentication (CalDAV).
+ *     tags: [Admin]
+ *     security:
+ *       - AdminToken: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/CalendarRequest'
- *           examples:
- *             berlin:
- *               summary: Berlin events for 4 weeks
- *               value:
- *                 location: "50km@52.5200,13.4050"
- *                 categories: "concerts,festivals,sports"
- *                 weeks: 4
- *                 cityName: "Berlin"
- *             london:
- *               summary: London events for 2 weeks  
- *               value:
- *                 location: "50km@51.5074,-0.1278"
- *                 categories: "public-holidays,festivals"
- *                 weeks: 2
- *                 cityName: "London"
+ *             $ref: '#/components/schemas/ApiKeyRequest'
  *     responses:
- *       200:
- *         description: Calendar generated successfully
+ *       201:
+ *         description: The new key
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/CalendarResponse'
+ *               $ref: '#/components/schemas/ApiKey'
  *       400:
- *         description: Bad request - missing required parameters
+ *         description: Bad request - invalid parameters, listed per field in `errors`
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Authentication failed
+ *         description: Missing or wrong admin token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Internal server error
+ *       403:
+ *         description: ADMIN_TOKEN is not set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List API keys
+ *     description: Lists every issued key, revoked ones included, with its requests of the current UTC day
+ *     tags: [Admin]
+ *     security:
+ *       - AdminToken: []
+ *     responses:
+ *       200:
+ *         description: Issued keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Missing or wrong admin token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: ADMIN_TOKEN is not set
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.post('/api/generate-calendar', async (req, res) => {
+app.post('/api/admin/keys', requireAdmin, validateRequest('ApiKeyRequest'), async (req, res) => {
   try {
-    const { location, categories, weeks = 4, cityName } = req.body;
-    
-    if (!location) {
-      return res.status(400).json({ error: 'Location is required' });
-    }
-
-    let events = [];
-    let useGeneratedEvents = false;
-
-    // Try to fetch from PredictHQ first
-    if (PREDICTHQ_TOKEN) {
-      try {
-        const headers = {
-          'Authorization': `Bearer ${PREDICTHQ_TOKEN}`
-        };
-
-        const params = {
-          limit: 140,
-          category: categories || 'public-holidays,observances,academic,conferences,concerts,festivals,performing-arts,sports',
-          'start.gte': new Date().toISOString().split('T')[0],
-          'start.lte': new Date(Date.now() + weeks * 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          'location.within': location
-        };
-
-        console.log('Fetching events from PredictHQ with params:', params);
-
-        const response = await axios.get(PREDICTHQ_API_URL, {
-          headers,
-          params
-        });
-
-        const predictHQEvents = response.data.results || [];
-        console.log(`Fetched ${predictHQEvents.length} events from PredictHQ`);
-        
-        // Check if events are actually from the requested location
-        if (predictHQEvents.length > 0) {
-          const [radius, coords] = location.split('@');
-          const [targetLat, targetLon] = coords.split(',').map(Number);
-          
-          // Check if any events are reasonably close to target location
-          const localEvents = predictHQEvents.filter(event => {
-            if (!event.location || !Array.isArray(event.location)) return false;
-            const [eventLon, eventLat] = event.location;
-            const distance = Math.sqrt(
-              Math.pow(eventLat - targetLat, 2) + Math.pow(eventLon - targetLon, 2)
-            );
-            return distance < 1; // Within ~100km (rough calculation)
-          });
-          
-          console.log(`Found ${localEvents.length} events near target location`);
-          
-          if (localEvents.length >= 10) {
-            events = localEvents;
-          } else {
-            console.log('Not enough local events found, generating location-specific events');
-            useGeneratedEvents = true;
-          }
-        } else {
-          useGeneratedEvents = true;
-        }
-      } catch (predictHQError) {
-        console.log('PredictHQ API error, falling back to generated events:', predictHQError.message);
-        useGeneratedEvents = true;
-      }
-    } else {
-      useGeneratedEvents = true;
-    }
-
-    // Generate location-specific events if needed
-    if (useGeneratedEvents) {
-      console.log('Generating location-specific sample events');
-      events = generateLocationEvents({ cityName }, categories, weeks);
-    }
-
-    if (events.length === 0) {
-      return res.status(404).json({ error: 'No events found for the specified criteria' });
-    }
-
-    const normalizedEvents = normalizeEvents(events);
-    const icsContent = generateICalendar(normalizedEvents);
-    
-    // For Vercel deployment: Stream content directly instead of saving to disk
-    // Generate a unique identifier for this session
-    const sessionId = Date.now().toString();
-    
-    // Store the content temporarily in memory (for this request only)
-    const calendarData = {
-      content: icsContent,
-      eventCount: normalizedEvents.length,
-      timestamp: sessionId,
-      cityName: cityName || 'Unknown'
-    };
-    
-    // Store in global memory for immediate download (Vercel-compatible)
-    global.calendarStore = global.calendarStore || {};
-    global.calendarStore[sessionId] = calendarData;
-    
-    // Clean up old entries (keep only last 10 minutes of data)
-    const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
-    Object.keys(global.calendarStore).forEach(key => {
-      if (parseInt(key) < tenMinutesAgo) {
-        delete global.calendarStore[key];
-      }
-    });
-    
-    res.json({
-      success: true,
-      downloadUrl: `/api/download/${sessionId}`,
-      eventCount: normalizedEvents.length,
-      message: `Calendar generated successfully${useGeneratedEvents ? ' with location-specific events' : ''}`,
-      events: normalizedEvents, // Include events data for frontend display
-      sessionId: sessionId
+    const { name, rateLimit, dailyQuota } = req.body;
+    const key = await apiKeys.issueKey({ name, rateLimit, dailyQuota });
+    console.log(`Issued API key ${key.id} (${name})`);
+    res.status(201).json(key);
+  } catch (error) {
+    console.error('Error issuing API key:', error.message);
+    res.status(500).json({
+      error: 'Failed to issue API key',
+      details: error.message
     });
+  }
+});
 
+app.get('/api/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const keys = await apiKeys.listKeys();
+    res.json(await Promise.all(keys.map(async key => ({
+      ...key,
+      usage: await apiKeys.usageHistory(key.id, 1)
+    }))));
   } catch (error) {
-    console.error('Error generating calendar:', error.message);
-    
-    res.status(500).json({ 
-      error: 'Failed to generate calendar',
-      details: error.message 
+    console.error('Error listing API keys:', error.message);
+    res.status(500).json({
+      error: 'Failed to list API keys',
+      details: error.message
     });
   }
 });
 
 /**
  * @swagger
- * /api/download/{sessionId}:
+ * /api/admin/keys/{id}:
  *   get:
- *     summary: Download calendar file by session ID
- *     description: Downloads the iCalendar (.ics) file for a specific session. Files are available for 10 minutes after generation.
- *     tags: [Download]
+ *     summary: Get an API key
+ *     description: Returns the key record and its requests per UTC day
+ *     tags: [Admin]
+ *     security:
+ *       - AdminToken: []
  *     parameters:
  *       - in: path
- *         name: sessionId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Session identifier from the generate-calendar response
- *         example: "1703123456789"
+ *         description: Key identifier
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 30
+ *           default: 7
+ *         description: Number of days of usage, including today
  *     responses:
  *       200:
- *         description: iCalendar file download
+ *         description: Key and usage
  *         content:
- *           text/calendar:
+ *           application/json:
  *             schema:
- *               type: string
- *               example: |
- *                 BEGIN:VCALENDAR
- *                 VERSION:2.0
- *                 PRODID:-//your-ical//Calendar Generator//EN
- *                 BEGIN:VEVENT
- *                 UID:event-123
- *                 DTSTART:20231201T100000Z
- *                 DTEND:20231201T120000Z
- *                 SUMMARY:Sample Event
- *                 END:VEVENT
- *                 END:VCALENDAR
+ *               $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Missing or wrong admin token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Calendar session not found or expired
+ *         description: Key not found
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Calendar session not found or expired"
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Revokes the key; requests with it get a 401 from then on. The key stays listed with its usage.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Key identifier
+ *     responses:
+ *       200:
+ *         description: The revoked key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Missing or wrong admin token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-app.get('/api/download/:sessionId', (req, res) => {
+app.get('/api/admin/keys/:id', requireAdmin, async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    
-    // Check if session exists in memory
-    if (!global.calendarStore || !global.calendarStore[sessionId]) {
-      return res.status(404).json({ 
-        error: 'Calendar session not found or expired. Please generate a new calendar.' 
-      });
+    const key = await apiKeys.getKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
     }
-    
-    const calendarData = global.calendarStore[sessionId];
-    const filename = `${calendarData.cityName.replace(/[^a-zA-Z0-9]/g, '-')}-events-${sessionId}.ics`;
-    
-    // Set appropriate headers for file download
-    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Cache-Control', 'no-cache');
-    
-    // Stream the calendar content directly
-    res.send(calendarData.content);
-    
-    // Clean up this session after successful download
-    setTimeout(() => {
-      if (global.calendarStore && global.calendarStore[sessionId]) {
-        delete global.calendarStore[sessionId];
-      }
-    }, 1000); // Delete after 1 second
-    
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 30);
+    res.json({ ...key, usage: await apiKeys.usageHistory(key.id, days) });
   } catch (error) {
-    console.error('Error downloading calendar:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to download calendar',
-      details: error.message 
+    console.error('Error reading API key:', error.message);
+    res.status(500).json({
+      error: 'Failed to read API key',
+      details: error.message
     });
   }
 });
 
-/**
- * @swagger
- * /api/categories:
- *   get:
- *     summary: Get available event categories
- *     description: Returns a list of all available event categories that can be used when generating calendars
- *     tags: [Categories]
- *     responses:
- *       200:
- *         description: List of available categories
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Category'
- *             example:
- *               - value: "public-holidays"
- *                 label: "Public Holidays"
- *               - value: "concerts"
- *                 label: "Concerts"
- *               - value: "festivals"
- *                 label: "Festivals"
- */
-app.get('/api/categories', (req, res) => {
-  const categories = [
-    { value: 'public-holidays', label: 'Public Holidays' },
-    { value: 'observances', label: 'Observances' },
-    { value: 'academic', label: 'Academic Events' },
-    { value: 'conferences', label: 'Conferences' },
-    { value: 'concerts', label: 'Concerts' },
-    { value: 'festivals', label: 'Festivals' },
-    { value: 'performing-arts', label: 'Performing Arts' },
-    { value: 'sports', label: 'Sports' },
-    { value: 'community', label: 'Community Events' },
-    { value: 'daylight-savings', label: 'Daylight Savings' },
-    { value: 'politics', label: 'Politics' },
-    { value: 'health-warnings', label: 'Health Warnings' },
-    { value: 'severe-weather', label: 'Severe Weather' }
-  ];
-  
-  res.json(categories);
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const key = await apiKeys.revokeKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    console.log(`Revoked API key ${key.id} (${key.name})`);
+    res.json(key);
+  } catch (error) {
+    console.error('Error revoking API key:', error.message);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      details: error.message
+    });
+  }
 });
 
 /**
@@ -649,6 +3119,10 @@ app.get('/api/categories', (req, res) => {
  *     description: Downloads the legacy iCalendar file (deprecated - use the web interface instead)
  *     tags: [Download]
  *     deprecated: true
+ *     security:
+ *       - {}
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
  *     responses:
  *       200:
  *         description: Legacy iCalendar file
@@ -662,8 +3136,12 @@ app.get('/api/categories', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-app.get('/events.ics', (req, res) => {
+app.get('/events.ics', limited, (req, res) => {
   const icsPath = path.join(__dirname, 'public', 'events.ics');
   
   if (!fs.existsSync(icsPath)) {
@@ -687,7 +3165,15 @@ app.get('*', (req, res) => {
       message: 'Calendar Generator API',
       endpoints: {
         generateCalendar: 'POST /api/generate-calendar',
+        importCalendar: 'POST /api/import-calendar',
+        events: 'GET /api/events',
         categories: 'GET /api/categories',
+        categoryFacets: 'GET /api/categories/facets',
+        geocode: 'GET /api/geocode',
+        sessions: 'GET /api/sessions',
+        feeds: 'POST /api/feeds',
+        jobs: 'GET /api/jobs',
+        apiKeys: 'GET /api/admin/keys',
         legacyCalendar: 'GET /events.ics'
       }
     });
@@ -697,4 +3183,13 @@ app.get('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`Calendar server running on http://localhost:${PORT}`);
   console.log(`API documentation available at http://localhost:${PORT}/api-docs/`);
+
+  // Refresh the configured calendar jobs in this process
+  if (process.env.SCHEDULER !== 'off') {
+    try {
+      scheduler.startScheduler();
+    } catch (error) {
+      console.error('Calendar jobs not scheduled:', error.message);
+    }
+  }
 });
\ No newline at end of file
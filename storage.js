@@ -0,0 +1,391 @@
+/**
+ * Storage
+ *
+ * Durable key-value storage for generated calendar sessions, saved feeds and
+ * feed histories. Values live in named collections; a collection can give
+ * its entries a time to live and a maximum size, and when it is full the
+ * oldest entries are evicted.
+ *
+ * Entries live in a pluggable backend:
+ * - memory: per-process Maps, lost on restart
+ * - file:   one JSON file per entry plus an index per collection in
+ *           STORAGE_DIR (default: data/storage); falls back to memory when
+ *           the directory cannot be written (default)
+ * - sqlite: one table in STORAGE_SQLITE_FILE (default: data/storage.sqlite),
+ *           using node:sqlite (Node 22.5+) or the optional better-sqlite3
+ *           package; a shared database file lets several instances serve
+ *           the same sessions and feeds
+ *
+ * Configured with STORAGE_BACKEND (memory | file | sqlite), STORAGE_DIR and
+ * STORAGE_SQLITE_FILE.
+ *
+ * Backends implement four async operations on entries of the form
+ * `{ value, meta, storedAt, expiresAt }` (timestamps in milliseconds,
+ * `expiresAt` null for entries that do not expire):
+ *
+ *   get(collection, key)          => entry | null
+ *   set(collection, key, entry)
+ *   delete(collection, key)       => boolean
+ *   list(collection)              => [{ key, meta, storedAt, expiresAt }]
+ *
+ * `list` leaves out the values, so listing large entries stays cheap; `meta`
+ * is a small summary stored next to the value for that purpose.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BACKENDS = ['memory', 'file', 'sqlite'];
+
+function summary(entry) {
+  return { meta: entry.meta ?? null, storedAt: entry.storedAt, expiresAt: entry.expiresAt ?? null };
+}
+
+/**
+ * In-memory backend.
+ */
+function createMemoryBackend() {
+  const collections = new Map();
+  const entriesOf = collection => {
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  };
+
+  return {
+    name: 'memory',
+
+    async get(collection, key) {
+      return entriesOf(collection).get(key) || null;
+    },
+
+    async set(collection, key, entry) {
+      entriesOf(collection).set(key, entry);
+    },
+
+    async delete(collection, key) {
+      return entriesOf(collection).delete(key);
+    },
+
+    async list(collection) {
+      return [...entriesOf(collection)].map(([key, entry]) => ({ key, ...summary(entry) }));
+    }
+  };
+}
+
+// Writes through a temporary file, so readers never see a partly written file
+async function writeFileAtomic(filePath, content) {
+  const temporary = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.promises.writeFile(temporary, content, 'utf8');
+  await fs.promises.rename(temporary, filePath);
+}
+
+/**
+ * File backend: one JSON file per entry, named by the hash of the key, and
+ * an index.json per collection with the entry summaries.
+ *
+ * @param {string} directory - Directory for the collections
+ */
+function createFileBackend(directory) {
+  const fallback = createMemoryBackend();
+  const indexes = new Map();
+  const directoryFor = collection => path.join(directory, collection);
+  const fileFor = (collection, key) =>
+    path.join(directoryFor(collection), `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  // The index is read once and then kept in memory; the process is its only writer
+  function indexOf(collection) {
+    if (!indexes.has(collection)) {
+      let index = {};
+      try {
+        index = JSON.parse(fs.readFileSync(path.join(directoryFor(collection), 'index.json'), 'utf8'));
+      } catch (error) {
+        // No index yet
+      }
+      indexes.set(collection, index);
+    }
+    return indexes.get(collection);
+  }
+
+  async function writeIndex(collection) {
+    await writeFileAtomic(path.join(directoryFor(collection), 'index.json'), JSON.stringify(indexOf(collection)));
+  }
+
+  return {
+    name: 'file',
+
+    async get(collection, key) {
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(fileFor(collection, key), 'utf8'));
+        return entry.key === key ? entry : null;
+      } catch (error) {
+        return fallback.get(collection, key);
+      }
+    },
+
+    async set(collection, key, entry) {
+      try {
+        await fs.promises.mkdir(directoryFor(collection), { recursive: true });
+        await writeFileAtomic(fileFor(collection, key), JSON.stringify({ ...entry, key }));
+        indexOf(collection)[key] = summary(entry);
+        await writeIndex(collection);
+      } catch (error) {
+        console.log(`Could not write ${collection} entry, keeping it in memory:`, error.message);
+        await fallback.set(collection, key, entry);
+      }
+    },
+
+    async delete(collection, key) {
+      const index = indexOf(collection);
+      const stored = Boolean(index[key]);
+      if (stored) {
+        delete index[key];
+        await fs.promises.rm(fileFor(collection, key), { force: true });
+        await writeIndex(collection).catch(error => console.log(`Could not update ${collection} index:`, error.message));
+      }
+      return (await fallback.delete(collection, key)) || stored;
+    },
+
+    async list(collection) {
+      const stored = Object.entries(indexOf(collection)).map(([key, indexEntry]) => ({ key, ...indexEntry }));
+      return [...stored, ...await fallback.list(collection)];
+    }
+  };
+}
+
+/**
+ * Opens a SQLite database with the built-in node:sqlite module when the
+ * Node version has it, otherwise with better-sqlite3. Both offer the same
+ * synchronous prepare/run/get/all API.
+ */
+function openDatabase(filePath) {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') throw error;
+  }
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite storage backend needs Node 22.5+ or the better-sqlite3 package');
+  }
+  return new Database(filePath);
+}
+
+/**
+ * SQLite backend: one row per entry, values stored as JSON.
+ *
+ * @param {string} filePath - Database file
+ */
+function createSQLiteBackend(filePath) {
+  let statements = null;
+
+  // Opened on first use, so merely configuring the backend does not create the file
+  function prepared() {
+    if (!statements) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const database = openDatabase(filePath);
+      database.exec(`
+        CREATE TABLE IF NOT EXISTS entries (
+          collection TEXT NOT NULL,
+          key TEXT NOT NULL,
+          value TEXT NOT NULL,
+          meta TEXT,
+          stored_at INTEGER NOT NULL,
+          expires_at INTEGER,
+          PRIMARY KEY (collection, key)
+        )
+      `);
+      statements = {
+        get: database.prepare('SELECT value, meta, stored_at, expires_at FROM entries WHERE collection = ? AND key = ?'),
+        set: database.prepare('INSERT OR REPLACE INTO entries (collection, key, value, meta, stored_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)'),
+        delete: database.prepare('DELETE FROM entries WHERE collection = ? AND key = ?'),
+        list: database.prepare('SELECT key, meta, stored_at, expires_at FROM entries WHERE collection = ?')
+      };
+    }
+    return statements;
+  }
+
+  const toSummary = row => ({
+    key: row.key,
+    meta: row.meta ? JSON.parse(row.meta) : null,
+    storedAt: row.stored_at,
+    expiresAt: row.expires_at ?? null
+  });
+
+  return {
+    name: 'sqlite',
+
+    async get(collection, key) {
+      const row = prepared().get.get(collection, key);
+      if (!row) return null;
+      return { ...toSummary({ ...row, key }), value: JSON.parse(row.value) };
+    },
+
+    async set(collection, key, entry) {
+      prepared().set.run(
+        collection,
+        key,
+        JSON.stringify(entry.value),
+        entry.meta === undefined || entry.meta === null ? null : JSON.stringify(entry.meta),
+        entry.storedAt,
+        entry.expiresAt ?? null
+      );
+    },
+
+    async delete(collection, key) {
+      return prepared().delete.run(collection, key).changes > 0;
+    },
+
+    async list(collection) {
+      return prepared().list.all(collection).map(toSummary);
+    }
+  };
+}
+
+/**
+ * Creates a collection on a backend.
+ *
+ * @param {Object} backend - Backend implementing get/set/delete/list
+ * @param {string} name - Collection name
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds=0] - Time to live of an entry; 0 keeps entries until deleted
+ * @param {number} [options.maxEntries=0] - Entries kept before the oldest are evicted; 0 for no limit
+ */
+function createCollection(backend, name, options = {}) {
+  const ttlSeconds = options.ttlSeconds || 0;
+  const maxEntries = options.maxEntries || 0;
+  const isExpired = (entry, now) => entry.expiresAt !== null && entry.expiresAt !== undefined && entry.expiresAt <= now;
+
+  // Drops expired entries, then the oldest ones above maxEntries
+  async function evict() {
+    const now = Date.now();
+    const entries = await backend.list(name);
+    const live = entries.filter(entry => !isExpired(entry, now));
+    const evicted = entries.filter(entry => isExpired(entry, now));
+
+    if (maxEntries > 0 && live.length > maxEntries) {
+      live.sort((a, b) => a.storedAt - b.storedAt);
+      evicted.push(...live.slice(0, live.length - maxEntries));
+    }
+    await Promise.all(evicted.map(entry => backend.delete(name, entry.key)));
+  }
+
+  return {
+    name,
+    ttlSeconds,
+    maxEntries,
+
+    /**
+     * Returns the value stored under a key, or null when it is missing or expired.
+     */
+    async get(key) {
+      const entry = await backend.get(name, key);
+      if (!entry) return null;
+      if (isExpired(entry, Date.now())) {
+        await backend.delete(name, key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    /**
+     * Stores a value, replacing any previous one, and evicts old entries.
+     *
+     * @param {string} key
+     * @param {*} value - JSON-serializable value
+     * @param {Object} [meta] - Small summary returned by list()
+     * @returns {Promise<{key: string, storedAt: string, expiresAt: string|null}>}
+     */
+    async set(key, value, meta = null) {
+      const storedAt = Date.now();
+      const expiresAt = ttlSeconds > 0 ? storedAt + ttlSeconds * 1000 : null;
+      await backend.set(name, key, { value, meta, storedAt, expiresAt });
+      await evict();
+      return {
+        key,
+        storedAt: new Date(storedAt).toISOString(),
+        expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString()
+      };
+    },
+
+    /**
+     * Deletes an entry. Resolves to false when there was none.
+     */
+    async delete(key) {
+      return backend.delete(name, key);
+    },
+
+    /**
+     * Lists the live entries, oldest first, without their values.
+     *
+     * @returns {Promise<{key: string, meta: Object|null, storedAt: string, expiresAt: string|null}[]>}
+     */
+    async list() {
+      const now = Date.now();
+      return (await backend.list(name))
+        .filter(entry => !isExpired(entry, now))
+        .sort((a, b) => a.storedAt - b.storedAt)
+        .map(entry => ({
+          key: entry.key,
+          meta: entry.meta,
+          storedAt: new Date(entry.storedAt).toISOString(),
+          expiresAt: entry.expiresAt === null ? null : new Date(entry.expiresAt).toISOString()
+        }));
+    },
+
+    /**
+     * Returns the values of all live entries, oldest first.
+     */
+    async values() {
+      const entries = await this.list();
+      const values = await Promise.all(entries.map(entry => this.get(entry.key)));
+      return values.filter(value => value !== null);
+    }
+  };
+}
+
+let sharedBackend = null;
+
+/**
+ * The process-wide backend configured from the environment.
+ */
+function defaultBackend() {
+  if (!sharedBackend) {
+    const backend = process.env.STORAGE_BACKEND || 'file';
+    if (!BACKENDS.includes(backend)) {
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}", expected one of: ${BACKENDS.join(', ')}`);
+    }
+
+    if (backend === 'sqlite') {
+      sharedBackend = createSQLiteBackend(process.env.STORAGE_SQLITE_FILE || path.join(__dirname, 'data', 'storage.sqlite'));
+    } else if (backend === 'file') {
+      sharedBackend = createFileBackend(process.env.STORAGE_DIR || path.join(__dirname, 'data', 'storage'));
+    } else {
+      sharedBackend = createMemoryBackend();
+    }
+  }
+  return sharedBackend;
+}
+
+/**
+ * Opens a collection on the configured backend.
+ *
+ * @param {string} name - Collection name
+ * @param {Object} [options] - See createCollection
+ */
+function openCollection(name, options) {
+  return createCollection(defaultBackend(), name, options);
+}
+
+module.exports = {
+  BACKENDS,
+  createMemoryBackend,
+  createFileBackend,
+  createSQLiteBackend,
+  createCollection,
+  openCollection
+};
@@ -0,0 +1,132 @@
+/**
+ * Synthetic Sample Events
+ *
+ * Generates clearly labelled sample events for a location. They are only
+ * used when a request opts in (`mode: 'synthetic'` or `'mixed'`), their
+ * titles carry a "[Sample]" tag and they are marked with
+ * X-YOUR-ICAL-SYNTHETIC in the ICS output.
+ *
+ * Generation is reproducible: the same seed always yields the same events
+ * for a given day, so a calendar (or feed poll) can be rebuilt identically
+ * and keeps stable UIDs.
+ *
+ * Every category of the registry (see categories.js) has its own title
+ * templates, so sample events always belong to a requested category.
+ */
+
+const crypto = require('crypto');
+const { zonedTimeToDate, addDays } = require('./timezone');
+const { sampleTitles } = require('./categories');
+
+const SAMPLE_TAG = '[Sample]';
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32) returning floats in [0, 1).
+ */
+function createRandom(seed) {
+  let state = crypto.createHash('sha1').update(String(seed)).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a new random seed for requests that do not provide one.
+ */
+function createSeed() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Generates sample events for one local day.
+ */
+function generateDayEvents(day, { cityName, timezone, categoryList, seed }) {
+  const random = createRandom(`${seed}:${day}`);
+  const events = [];
+  if (categoryList.length === 0) return events;
+
+  // Generate 2-3 events per day
+  const eventsPerDay = Math.floor(random() * 2) + 2;
+
+  const usedTitles = new Set();
+
+  for (let i = 0; i < eventsPerDay; i++) {
+    const category = categoryList[Math.floor(random() * categoryList.length)];
+    const templates = sampleTitles(category, cityName);
+    let index = Math.floor(random() * templates.length);
+    // Take the next template instead of repeating one on the same day
+    for (let tries = 0; tries < templates.length && usedTitles.has(templates[index]); tries++) {
+      index = (index + 1) % templates.length;
+    }
+    const title = templates[index];
+    usedTitles.add(title);
+
+    // Create realistic event start times (9 AM to 8 PM local time)
+    const startHour = 9 + Math.floor(random() * 12); // 9 AM to 8 PM
+    const startMinute = random() > 0.5 ? 0 : 30; // Either :00 or :30
+    const eventStartTime = zonedTimeToDate(...day.split('-').map(Number), startHour, startMinute, 0, timezone);
+
+    // Event duration: 1-4 hours, in whole quarter hours
+    const durationMinutes = 60 + Math.floor(random() * 12) * 15;
+    const eventEndTime = new Date(eventStartTime.getTime() + durationMinutes * 60 * 1000);
+
+    events.push({
+      title: `${SAMPLE_TAG} ${title}`,
+      start: eventStartTime.toISOString(),
+      end: eventEndTime.toISOString(),
+      timezone: timezone,
+      category: category,
+      source: 'synthetic',
+      synthetic: true
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Generates location-specific sample events for every local day of a date
+ * range in the location's timezone.
+ *
+ * @param {Object} locationInfo
+ * @param {string} [locationInfo.cityName] - City name used in the titles
+ * @param {string} [locationInfo.timezone='UTC'] - IANA timezone of the location
+ * @param {string} categories - Comma-separated list of event categories
+ * @param {{startDay: string, endDay: string}} range - First and last day (inclusive), e.g. from resolveDateRange
+ * @param {Object} [options]
+ * @param {string} [options.seed] - Seed for reproducible output
+ * @param {Set<string>} [options.skipDays] - Local days ("2025-08-17") to leave empty
+ * @returns {Object[]} PredictHQ-style event records
+ */
+function generateLocationEvents(locationInfo, categories, range, options = {}) {
+  const timezone = locationInfo.timezone || 'UTC';
+  const context = {
+    cityName: locationInfo.cityName || 'Local Area',
+    timezone,
+    // Categories without templates (unknown values) get no sample events
+    categoryList: categories.split(',').map(category => category.trim()).filter(category => sampleTitles(category, '').length > 0),
+    seed: options.seed || createSeed()
+  };
+  const skipDays = options.skipDays || new Set();
+  const events = [];
+
+  for (let day = range.startDay; day <= range.endDay; day = addDays(day, 1)) {
+    if (!skipDays.has(day)) {
+      events.push(...generateDayEvents(day, context));
+    }
+  }
+
+  return events;
+}
+
+module.exports = {
+  generateLocationEvents,
+  createSeed,
+  createRandom,
+  SAMPLE_TAG
+};
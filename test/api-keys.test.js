@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_BACKEND = 'memory';
+const { issueKey, recordUsage, usageOf } = require('../api-keys');
+
+test('parallel requests are all counted', async () => {
+  const { id } = await issueKey({ name: 'burst' });
+
+  await Promise.all(Array.from({ length: 20 }, () => recordUsage(id)));
+
+  assert.strictEqual(await usageOf(id), 20);
+});
+
+test('a burst of requests cannot exceed the daily quota', async () => {
+  const { id } = await issueKey({ name: 'quota' });
+
+  const results = await Promise.all(Array.from({ length: 20 }, () => recordUsage(id, { limit: 5 })));
+
+  assert.strictEqual(results.filter(result => result !== null).length, 5);
+  assert.strictEqual(await usageOf(id), 5);
+});
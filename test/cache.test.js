@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore } = require('../cache');
+
+const fresh = value => ({ value, cachedAt: Date.now(), expiresAt: Date.now() + 60 * 1000 });
+
+test('the memory store evicts the oldest entries above maxEntries', async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set('a', fresh(1));
+  await store.set('b', fresh(2));
+  await store.set('a', fresh(3));
+  await store.set('c', fresh(4));
+
+  assert.strictEqual(await store.get('b'), null);
+  assert.strictEqual((await store.get('a')).value, 3);
+  assert.strictEqual((await store.get('c')).value, 4);
+});
+
+test('the memory store does not return expired entries', async () => {
+  const store = createMemoryStore();
+  await store.set('a', { value: 1, cachedAt: Date.now() - 2000, expiresAt: Date.now() - 1000 });
+
+  assert.strictEqual(await store.get('a'), null);
+});
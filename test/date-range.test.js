@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate } = require('../validation');
+const { resolveDateRange, MAX_RANGE_DAYS } = require('../date-filter');
+const { addDays, localDate } = require('../timezone');
+
+const location = '50km@52.5200,13.4050';
+
+test('an end-only range longer than the maximum is rejected', () => {
+  for (const schema of ['CalendarRequest', 'FeedRequest', 'EventsQuery', 'CategoryFacetsQuery']) {
+    const errors = validate(schema, { location, end: '2060-01-01', mode: 'synthetic' });
+    assert.ok(errors.some(error => error.field === 'end' && error.code === 'out_of_range'), schema);
+  }
+});
+
+test('an end-only range within the maximum is accepted', () => {
+  const end = addDays(localDate(new Date(), 'Europe/Berlin'), 30);
+  assert.deepStrictEqual(validate('CalendarRequest', { location, end }), []);
+});
+
+test('resolveDateRange cuts windows to the maximum length', () => {
+  const range = resolveDateRange({ start: '2026-01-01', end: '2060-01-01', timezone: 'UTC' });
+  assert.strictEqual(range.endDay, addDays('2026-01-01', MAX_RANGE_DAYS - 1));
+});
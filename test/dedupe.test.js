@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { dedupeEvents } = require('../dedupe');
+
+const venue = { lat: 52.5, lon: 13.4 };
+
+function listing(title, start, end, extra = {}) {
+  return { uid: `${title}-${start}`, title, location: 'Stage', geo: venue, startDate: new Date(start), endDate: new Date(end), ...extra };
+}
+
+test('a nightly run of the same show stays separate', () => {
+  const shows = Array.from({ length: 10 }, (_, i) => {
+    const day = String(i + 1).padStart(2, '0');
+    return listing('Hamlet', `2026-11-${day}T18:30:00Z`, `2026-11-${day}T21:00:00Z`);
+  });
+
+  const { events, merged } = dedupeEvents(shows, { timezone: 'Europe/Berlin' });
+
+  assert.strictEqual(merged, 0);
+  assert.strictEqual(events.length, 10);
+});
+
+test('per-day festival listings become one event across the overnight gap', () => {
+  const days = [1, 2, 3].map(day => listing(
+    `City Festival (Day ${day})`,
+    `2026-11-0${day}T09:00:00Z`,
+    `2026-11-0${day}T19:00:00Z`
+  ));
+
+  const { events, merged } = dedupeEvents(days, { timezone: 'Europe/Berlin' });
+
+  assert.strictEqual(merged, 2);
+  assert.strictEqual(events[0].title, 'City Festival');
+  assert.strictEqual(events[0].startDate.toISOString(), '2026-11-01T09:00:00.000Z');
+  assert.strictEqual(events[0].endDate.toISOString(), '2026-11-03T19:00:00.000Z');
+});
+
+test('all-day parts on consecutive days are merged', () => {
+  const days = [1, 2].map(day => listing(
+    'Market Days',
+    `2026-11-0${day}T00:00:00Z`,
+    `2026-11-0${day}T20:00:00Z`,
+    { allDay: true }
+  ));
+
+  assert.strictEqual(dedupeEvents(days).merged, 1);
+});
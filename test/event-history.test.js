@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyEventHistory, replayEventHistory } = require('../event-history');
+
+const now = new Date('2026-11-01T00:00:00Z');
+
+function event(uid, day) {
+  return { uid, title: uid, startDate: new Date(`2026-11-${day}T18:00:00Z`), endDate: new Date(`2026-11-${day}T21:00:00Z`) };
+}
+
+test('replaying the history serves the previous events without cancelling them', () => {
+  const { history } = applyEventHistory([event('a', '05'), event('b', '06')], {}, now);
+  const stored = JSON.parse(JSON.stringify(history));
+
+  const events = replayEventHistory(stored, now);
+
+  assert.deepStrictEqual(events.map(e => [e.uid, e.sequence, e.status]), [['a', 0, undefined], ['b', 0, undefined]]);
+  assert.ok(events[0].startDate instanceof Date);
+});
+
+test('events dropped by a refresh are cancelled with a higher sequence', () => {
+  const { history } = applyEventHistory([event('a', '05'), event('b', '06')], {}, now);
+
+  const { events } = applyEventHistory([event('a', '05')], history, now);
+
+  assert.deepStrictEqual(events.map(e => [e.uid, e.sequence, e.status]), [['a', 0, undefined], ['b', 1, 'cancelled']]);
+});
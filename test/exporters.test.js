@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderEvents } = require('../exporters');
+
+function csvRow(event) {
+  const [header, row] = renderEvents('csv', [event], { name: 'Test', timezone: 'UTC' }).split('\r\n');
+  const columns = header.split(',');
+  const cells = row.split(',');
+  return name => cells[columns.indexOf(name)];
+}
+
+const event = {
+  uid: 'a@your-ical',
+  title: 'Market',
+  startDate: new Date('2026-11-05T10:00:00Z'),
+  endDate: new Date('2026-11-05T12:00:00Z'),
+  geo: { lat: 51.5074, lon: -0.1278 },
+  distanceKm: 1.5
+};
+
+test('CSV keeps negative coordinates as numbers', () => {
+  const cell = csvRow(event);
+  assert.strictEqual(cell('latitude'), '51.5074');
+  assert.strictEqual(cell('longitude'), '-0.1278');
+});
+
+test('CSV still guards text that looks like a formula', () => {
+  const cell = csvRow({ ...event, title: '=HYPERLINK("x")', location: '-1 Basement' });
+  assert.ok(cell('location').startsWith("'-1"));
+});
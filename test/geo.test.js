@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLocation, sortByDistance, MAX_RADIUS_KM } = require('../geo');
+const { validate } = require('../validation');
+
+test('saved locations with a radius above the maximum are cut to it', () => {
+  const location = parseLocation('5000km@52.5200,13.4050');
+  assert.strictEqual(location.radiusKm, MAX_RADIUS_KM);
+  assert.strictEqual(location.radius, `${MAX_RADIUS_KM}km`);
+});
+
+test('new requests with a radius above the maximum are rejected', () => {
+  const errors = validate('CalendarRequest', { location: '5000km@52.5200,13.4050' });
+  assert.deepStrictEqual(errors.map(error => error.field), ['location']);
+  assert.deepStrictEqual(validate('CalendarRequest', { location: '600mi@52.5200,13.4050' }), []);
+});
+
+test('sortByDistance lists the nearest events first and unknown distances last', () => {
+  const sorted = sortByDistance([{ id: 'c', distanceKm: null }, { id: 'b', distanceKm: 12 }, { id: 'a', distanceKm: 3.5 }]);
+  assert.deepStrictEqual(sorted.map(event => event.id), ['a', 'b', 'c']);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseICSEvents } = require('../ics-parser');
+
+function calendar(categories) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:gig-1@example.com',
+    'DTSTART:20261105T190000Z',
+    'DTEND:20261105T220000Z',
+    'SUMMARY:Gig',
+    `CATEGORIES:${categories}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+test('escaped commas stay inside a category name', () => {
+  const [event] = parseICSEvents(calendar('Music,Rock\\, Pop,Live'));
+  assert.deepStrictEqual(event.labels, ['Rock, Pop', 'Live']);
+});
+
+test('an escaped backslash before a comma does not escape the comma', () => {
+  const [event] = parseICSEvents(calendar('Music,A\\\\,B'));
+  assert.deepStrictEqual(event.labels, ['A\\', 'B']);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyEventHistory, applySeriesHistory } = require('../event-history');
+const { collapseSeries } = require('../series');
+
+const now = new Date('2026-10-01T00:00:00Z');
+
+function market(day) {
+  return {
+    uid: `market-${day}@your-ical`,
+    title: 'Farmers Market',
+    location: 'Town Square',
+    timezone: 'UTC',
+    startDate: new Date(`2026-11-${day}T08:00:00Z`),
+    endDate: new Date(`2026-11-${day}T13:00:00Z`)
+  };
+}
+
+function refresh(events, previous) {
+  const tracked = applyEventHistory(events, previous, now);
+  const result = applySeriesHistory(tracked.events, tracked.history, previous, 'UTC', now);
+  const series = collapseSeries(result.events, 'UTC').events.find(event => event.recurrence);
+  return { series, history: result.history };
+}
+
+const weekly = ['03', '10', '17', '24'];
+
+test('an unchanged series keeps its sequence', () => {
+  const first = refresh(weekly.map(market), {});
+  const second = refresh(weekly.map(market), first.history);
+
+  assert.strictEqual(first.series.sequence, 0);
+  assert.strictEqual(second.series.sequence, 0);
+});
+
+test('removing one occurrence bumps the sequence of the series', () => {
+  const first = refresh(weekly.map(market), {});
+  const second = refresh(['03', '10', '24'].map(market), first.history);
+
+  assert.strictEqual(second.series.uid, first.series.uid);
+  assert.deepStrictEqual(second.series.recurrence.exdates, ['2026-11-17']);
+  assert.strictEqual(second.series.sequence, 1);
+});
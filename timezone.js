@@ -0,0 +1,135 @@
+/**
+ * Timezone Helpers
+ *
+ * Conversions between instants (Date) and wall-clock time in an IANA
+ * timezone, built on Intl so they do not depend on the server's own zone,
+ * plus timezone resolution from coordinates (offline, via tz-lookup).
+ */
+
+const tzLookup = require('tz-lookup');
+
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Formatters per timezone; creating one is far slower than using it
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    // Bounded, as timezone names come from requests (in any letter case)
+    if (formatters.size >= 1000) formatters.clear();
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolves the IANA timezone at a coordinate, or null when it cannot be resolved.
+ */
+function resolveTimezone(lat, lon) {
+  try {
+    return tzLookup(lat, lon);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the wall-clock parts of an instant in a timezone.
+ */
+function zonedParts(date, timeZone) {
+  return formatterFor(timeZone).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+}
+
+/**
+ * Returns the offset in milliseconds of a timezone at a given instant.
+ */
+function timezoneOffset(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts wall-clock time in a timezone to a Date.
+ */
+function zonedTimeToDate(year, month, day, hour, minute, second, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (!isValidTimezone(timeZone)) return new Date(guess);
+
+  const offset = timezoneOffset(new Date(guess), timeZone);
+  // Re-check once in case the guess landed on the other side of a DST change
+  return new Date(guess - timezoneOffset(new Date(guess - offset), timeZone));
+}
+
+/**
+ * Converts a local date-time string ("2025-08-17T19:30:00" or "2025-08-17")
+ * in a timezone to a Date. Returns null for unparseable input.
+ */
+function localTimeToDate(value, timeZone) {
+  const match = LOCAL_TIME_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  return zonedTimeToDate(+year, +month, +day, +hour, +minute, +second, timeZone);
+}
+
+/**
+ * Formats an instant as local date-time ("2025-08-17T19:30:00") in a timezone.
+ */
+function formatLocalISO(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Returns the calendar date ("2025-08-17") of an instant in a timezone.
+ */
+function localDate(date, timeZone) {
+  return formatLocalISO(date, timeZone).slice(0, 10);
+}
+
+/**
+ * Adds days to a calendar date string ("2025-08-17").
+ */
+function addDays(dateString, days) {
+  const date = new Date(`${dateString.slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a date-time string carries its own offset ("Z" or "+02:00").
+ */
+function hasOffset(value) {
+  return typeof value === 'string' && /(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim());
+}
+
+module.exports = {
+  isValidTimezone,
+  resolveTimezone,
+  timezoneOffset,
+  zonedTimeToDate,
+  localTimeToDate,
+  formatLocalISO,
+  localDate,
+  addDays,
+  hasOffset
+};
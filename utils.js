@@ -1,56 +1,246 @@
-const ical = require('ical-generator').default;
+const { default: ical, ICalEventStatus, ICalAlarmType } = require('ical-generator');
+const { getVtimezoneComponent } = require('@touch4it/ical-timezones');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const {
+  isValidTimezone,
+  localTimeToDate,
+  formatLocalISO,
+  localDate,
+  addDays,
+  hasOffset
+} = require('./timezone');
+const { normalizeLocation, icalLocation } = require('./event-location');
+const { collapseSeries, recurrenceLines } = require('./series');
+
+/**
+ * Builds a stable UID for an event so that re-imports and feed refreshes
+ * update existing calendar entries instead of duplicating them. Events with
+ * a source ID (PredictHQ `id`, ICS `UID`) use it; generated events use a
+ * hash of their content.
+ */
+function eventUid(event, title, startDate) {
+  const source = event.source || 'predicthq';
+  if (event.id) {
+    return `${source}-${event.id}@your-ical`;
+  }
+
+  const hash = crypto.createHash('sha1')
+    .update([title, startDate.toISOString(), event.category || ''].join('|'))
+    .digest('hex')
+    .slice(0, 16);
+  return `generated-${hash}@your-ical`;
+}
+
+/**
+ * Whether a record describes a whole-day event. PredictHQ has no explicit
+ * flag; whole-day events (holidays, observances) start at local midnight and
+ * last a multiple of 24 hours minus one second.
+ */
+function isAllDayRecord(event) {
+  if (typeof event.all_day === 'boolean') return event.all_day;
+
+  const startLocal = event.start_local || event.start;
+  if (typeof startLocal !== 'string' || !/T00:00:00/.test(startLocal)) return false;
+  if (typeof event.duration === 'number') return (event.duration + 1) % 86400 === 0;
+  return typeof (event.end_local || event.end) === 'string' && /T23:59:59/.test(event.end_local || event.end);
+}
+
+/**
+ * Resolves a record's start or end to an instant. Offset-carrying values
+ * (PredictHQ `start`/`end` are UTC) are used as-is; local wall-clock values
+ * are interpreted in the event's timezone rather than the server's.
+ */
+function recordInstant(utcValue, localValue, timezone) {
+  if (utcValue && hasOffset(utcValue)) return new Date(utcValue);
+  const value = localValue || utcValue;
+  return (value && localTimeToDate(value, timezone)) || new Date(value);
+}
+
+/**
+ * Label strings of a record: PredictHQ `phq_labels` (with weights), or the
+ * older plain `labels` list.
+ */
+function recordLabels(event) {
+  if (Array.isArray(event.phq_labels)) {
+    return event.phq_labels.map(label => label.label).filter(Boolean);
+  }
+  return Array.isArray(event.labels) ? event.labels.filter(label => typeof label === 'string') : [];
+}
+
+/**
+ * @param {Object[]} predictHQEvents - PredictHQ-style event records
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - Timezone for records that carry none
+ */
+function normalizeEvents(predictHQEvents, options = {}) {
+  const defaultTimezone = isValidTimezone(options.timezone) ? options.timezone : 'UTC';
 
-function normalizeEvents(predictHQEvents) {
   return predictHQEvents.map(event => {
-    // Use start_local and end_local for proper timezone handling
-    // These fields contain the event time in the local timezone
-    const startDate = new Date(event.start_local || event.start || event.date);
-    const endDate = new Date(event.end_local || event.end || event.date);
+    const timezone = isValidTimezone(event.timezone) ? event.timezone : defaultTimezone;
+    const allDay = isAllDayRecord(event);
+    let startDate;
+    let endDate;
+
+    if (allDay) {
+      // Anchor whole days at local midnight; the end is exclusive
+      const startDay = String(event.start_local || event.start || event.date).slice(0, 10);
+      const endValue = String(event.end_local || event.end || startDay);
+      const endDay = /T(?!00:00:00)/.test(endValue) ? addDays(endValue, 1) : endValue.slice(0, 10);
+      startDate = localTimeToDate(startDay, timezone);
+      endDate = localTimeToDate(endDay > startDay ? endDay : addDays(startDay, 1), timezone);
+    } else {
+      startDate = recordInstant(event.start || event.date, event.start_local, timezone);
+      endDate = recordInstant(event.end || event.date, event.end_local, timezone);
+    }
+
+    const title = event.title || event.name || 'Event';
+    const { location, venue, address, geo } = normalizeLocation(event);
+    const labels = recordLabels(event);
     
     return {
-      title: event.title || event.name || 'Event',
+      uid: eventUid(event, title, startDate),
+      title: title,
       startDate: startDate,
       endDate: endDate,
-      location: event.geo?.address?.formatted_address || 
-                (event.geo?.address?.locality ? `${event.geo.address.locality}, Germany` : 'Germany'),
-      description: event.description || 
-                   (event.phq_labels ? event.phq_labels.map(label => label.label).join(', ') : 'Event')
+      allDay: allDay,
+      timezone: timezone,
+      synthetic: Boolean(event.synthetic),
+      category: event.category || null,
+      rank: typeof event.rank === 'number' ? event.rank : null,
+      localRank: typeof event.local_rank === 'number' ? event.local_rank : null,
+      attendance: typeof event.phq_attendance === 'number' ? event.phq_attendance : null,
+      labels: labels,
+      entities: (event.entities || [])
+        .filter(entity => entity && entity.name)
+        .map(entity => ({ name: entity.name, type: entity.type || null })),
+      // Only web links; source URLs end up as clickable links
+      url: typeof event.url === 'string' && /^https?:\/\//i.test(event.url) ? event.url : null,
+      location: location,
+      venue: venue,
+      address: address,
+      geo: geo,
+      description: event.description || (labels.length > 0 ? labels.join(', ') : 'Event')
     };
   });
 }
 
-function generateICalendar(events) {
+/**
+ * Minutes before an event's start at which to remind, from a reminder map
+ * keyed by category with `*` as the fallback.
+ *
+ * @returns {number|null}
+ */
+function reminderFor(event, reminders) {
+  if (!reminders) return null;
+  const minutes = reminders[event.category] ?? reminders['*'];
+  return typeof minutes === 'number' ? minutes : null;
+}
+
+/**
+ * Maps a PredictHQ rank (0-100) to an iCalendar PRIORITY, 1 (highest) to 9
+ * (lowest). Events without a rank get no priority.
+ */
+function rankPriority(rank) {
+  if (typeof rank !== 'number') return null;
+  return Math.min(9, Math.max(1, Math.round(9 - rank * 0.08)));
+}
+
+/**
+ * Custom properties carrying the event details iCalendar has no field for.
+ */
+function eventProperties(event) {
+  const properties = [];
+  if (event.synthetic) properties.push({ key: 'X-YOUR-ICAL-SYNTHETIC', value: 'TRUE' });
+  if (event.rank !== null && event.rank !== undefined) properties.push({ key: 'X-YOUR-ICAL-RANK', value: String(event.rank) });
+  if (event.localRank !== null && event.localRank !== undefined) properties.push({ key: 'X-YOUR-ICAL-LOCAL-RANK', value: String(event.localRank) });
+  if (event.attendance !== null && event.attendance !== undefined) properties.push({ key: 'X-YOUR-ICAL-ATTENDANCE', value: String(event.attendance) });
+  (event.entities || []).forEach(entity => {
+    properties.push({ key: 'X-YOUR-ICAL-ENTITY', value: entity.type ? `${entity.type}: ${entity.name}` : entity.name });
+  });
+  return properties;
+}
+
+/**
+ * @param {Object[]} events - Normalized events
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name
+ * @param {string} [options.timezone='UTC'] - Calendar timezone, also used for events without one
+ * @param {string} [options.color] - Calendar color ("#RRGGBB")
+ * @param {number} [options.refreshInterval] - Suggested refresh interval for subscribers, in minutes
+ * @param {Object<string, number>} [options.reminders] - Minutes before start per category ("*" for all others)
+ */
+function generateICalendar(events, options = {}) {
+  const calendarTimezone = isValidTimezone(options.timezone) ? options.timezone : 'UTC';
   const calendar = ical({
-    name: 'PredictHQ Events',
+    name: options.name || 'PredictHQ Events',
     description: 'Events fetched from PredictHQ API',
-    timezone: 'Europe/Berlin'
+    // REFRESH-INTERVAL and X-PUBLISHED-TTL, so subscribed clients poll at this rate
+    ttl: options.refreshInterval ? options.refreshInterval * 60 : null,
+    // Each event carries its own TZID; the generator adds a VTIMEZONE block per zone
+    timezone: { name: null, generator: getVtimezoneComponent }
   });
+  calendar.x('X-WR-TIMEZONE', calendarTimezone);
+  if (options.color) {
+    calendar.x('X-APPLE-CALENDAR-COLOR', options.color);
+  }
 
   // Use the actual event times from the API instead of generating random ones
   console.log(`Creating calendar with ${events.length} events using their actual times`);
 
-  events.forEach((event, index) => {
-    calendar.createEvent({
-      start: event.startDate,
-      end: event.endDate,
+  // Repeating events become one VEVENT with RRULE, EXDATE and RDATE
+  const { events: calendarEvents, series } = collapseSeries(events, calendarTimezone);
+  if (series > 0) {
+    console.log(`Combined ${events.length - calendarEvents.length + series} events into ${series} recurring series`);
+  }
+
+  calendarEvents.forEach(event => {
+    const timezone = isValidTimezone(event.timezone) ? event.timezone : calendarTimezone;
+    const startDate = new Date(event.startDate);
+    const endDate = new Date(event.endDate);
+
+    const calendarEvent = calendar.createEvent({
+      id: event.uid,
+      sequence: event.sequence || 0,
+      lastModified: event.lastModified || null,
+      status: event.status === 'cancelled' ? ICalEventStatus.CANCELLED : null,
+      // Wall-clock strings in the event's zone; whole days become DATE values
+      start: event.allDay ? localDate(startDate, timezone) : formatLocalISO(startDate, timezone),
+      end: event.allDay ? localDate(endDate, timezone) : formatLocalISO(endDate, timezone),
+      allDay: Boolean(event.allDay),
+      timezone: event.allDay ? null : timezone,
+      repeating: event.recurrence ? recurrenceLines(event, timezone) : null,
       summary: event.title,
       description: event.description || `Event from PredictHQ`,
-      location: event.location || '',
-      uid: `predicthq-${Date.now()}-${index}`
+      location: icalLocation(event),
+      // Category first, then the labels, without duplicates
+      categories: [...new Set([event.category, ...(event.labels || [])].filter(Boolean))].map(name => ({ name })),
+      url: event.url || null,
+      priority: rankPriority(event.rank),
+      // Sample events are marked so clients and scripts can tell them apart;
+      // rank, attendance and entities are kept as X- properties
+      x: eventProperties(event)
     });
+
+    const reminder = reminderFor(event, options.reminders);
+    if (reminder !== null && event.status !== 'cancelled') {
+      calendarEvent.createAlarm({
+        type: ICalAlarmType.display,
+        trigger: reminder * 60,
+        description: event.title
+      });
+    }
   });
 
   return calendar.toString();
 }
 
-function saveICalendarFile(icsContent) {
-  const publicDir = path.join(__dirname, 'public');
-  const filePath = path.join(publicDir, 'events.ics');
-  
-  if (!fs.existsSync(publicDir)) {
-    fs.mkdirSync(publicDir, { recursive: true });
+function saveICalendarFile(icsContent, filePath = path.join(__dirname, 'public', 'events.ics')) {
+  const directory = path.dirname(filePath);
+
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
   }
   
   fs.writeFileSync(filePath, icsContent, 'utf8');
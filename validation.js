@@ -0,0 +1,619 @@
+/**
+ * Request Schemas and Validation
+ *
+ * The request schemas are defined once here and used both for the Swagger
+ * `components.schemas` and to validate request bodies, so the documented
+ * limits are the enforced ones.
+ *
+ * The validator understands the subset of OpenAPI schema keywords used below
+ * (type, required, properties, additionalProperties, enum, minimum, maximum,
+ * minLength, maxLength, maxItems, items, $ref) plus these formats:
+ * - location:      radius@latitude,longitude (see geo.js)
+ * - timezone:      IANA timezone name
+ * - category-list: comma-separated list of known event categories
+ * - date:          calendar date ("2025-08-17")
+ * - time:          time of day ("18:00")
+ * - weekday-list:  comma-separated weekdays ("sat,sun")
+ * - color:         hex color ("#1E88E5")
+ * - icalendar:     iCalendar text (BEGIN:VCALENDAR … END:VCALENDAR)
+ *
+ * Checks that involve several fields (e.g. `end` after `start`) are listed
+ * per schema in CROSS_FIELD_CHECKS.
+ *
+ * Every problem is reported as `{ field, code, message }` with one of the
+ * codes: required, invalid_type, invalid_value, out_of_range,
+ * invalid_format, unknown_category, unknown_property.
+ */
+
+const { parseLocation, parseRadius, MAX_RADIUS_KM } = require('./geo');
+const { isValidTimezone, resolveTimezone, localDate } = require('./timezone');
+const { CATEGORY_VALUES } = require('./categories');
+const { MODES } = require('./calendar');
+const { isValidDay, isValidTime, parseWeekdays, MAX_RANGE_DAYS } = require('./date-filter');
+const { EXPORT_FORMATS } = require('./exporters');
+const { IMPORT_VARIANTS } = require('./calendar-import');
+const { SORT_ORDERS } = require('./event-query');
+
+// Largest uploaded calendar, in characters
+const MAX_IMPORT_LENGTH = 5 * 1024 * 1024;
+
+const LOCATION_DESCRIPTION = `Location in format: radius@latitude,longitude. The radius accepts km, mi, m or ft (e.g. 10km, 25mi), may be at most ${MAX_RADIUS_KM} km and is applied as a real (great-circle) distance.`;
+
+const calendarRequestProperties = {
+  location: {
+    type: 'string',
+    format: 'location',
+    example: '50km@52.5200,13.4050',
+    description: LOCATION_DESCRIPTION
+  },
+  categories: {
+    type: 'string',
+    format: 'category-list',
+    example: 'concerts,festivals,sports',
+    description: 'Comma-separated list of event categories (see GET /api/categories; default: all main categories)'
+  },
+  weeks: {
+    type: 'integer',
+    example: 4,
+    minimum: 1,
+    maximum: 12,
+    description: 'Number of weeks for the calendar (ignored when `end` is set)'
+  },
+  start: {
+    type: 'string',
+    format: 'date',
+    example: '2025-08-17',
+    description: 'First day of the calendar in its timezone (default: today)'
+  },
+  end: {
+    type: 'string',
+    format: 'date',
+    example: '2025-08-31',
+    description: `Last day of the calendar, inclusive (default: start + weeks; at most ${MAX_RANGE_DAYS} days after start, or after today without start)`
+  },
+  weekdays: {
+    type: 'string',
+    format: 'weekday-list',
+    example: 'fri,sat,sun',
+    description: 'Only events on these weekdays (sun, mon, tue, wed, thu, fri, sat)'
+  },
+  timeFrom: {
+    type: 'string',
+    format: 'time',
+    example: '18:00',
+    description: 'Only events starting at or after this local time (all-day events are kept)'
+  },
+  timeTo: {
+    type: 'string',
+    format: 'time',
+    example: '23:00',
+    description: 'Only events starting before this local time; earlier than timeFrom wraps past midnight'
+  },
+  minRank: {
+    type: 'integer',
+    example: 40,
+    minimum: 0,
+    maximum: 100,
+    description: 'Minimum PredictHQ rank (events without a rank are kept)'
+  },
+  minLocalRank: {
+    type: 'integer',
+    example: 50,
+    minimum: 0,
+    maximum: 100,
+    description: 'Minimum PredictHQ local rank, the impact relative to the area (events without one are kept)'
+  },
+  minAttendance: {
+    type: 'integer',
+    example: 500,
+    minimum: 0,
+    maximum: 10000000,
+    description: 'Minimum predicted attendance (events without a prediction are kept)'
+  },
+  keywords: {
+    type: 'string',
+    maxLength: 500,
+    example: 'jazz,open air',
+    description: 'Comma-separated keywords; only events whose title or labels contain one of them'
+  },
+  excludeKeywords: {
+    type: 'string',
+    maxLength: 500,
+    example: 'meetup,webinar',
+    description: 'Comma-separated keywords; events whose title or labels contain one of them are dropped'
+  },
+  mode: {
+    type: 'string',
+    enum: MODES,
+    default: 'real',
+    description: 'real: real events only. synthetic: sample events only. mixed: real events, with sample events on days that have none. Sample events are tagged "[Sample]" and marked X-YOUR-ICAL-SYNTHETIC.'
+  },
+  seed: {
+    type: 'string',
+    maxLength: 64,
+    example: 'a1b2c3d4e5f6',
+    description: 'Seed for reproducible sample events (default: random, returned in the response)'
+  },
+  maxEvents: {
+    type: 'integer',
+    example: 200,
+    minimum: 1,
+    maximum: 2000,
+    description: 'Maximum number of events; the highest ranked are kept (default: MAX_EVENTS, 500)'
+  },
+  maxPerDay: {
+    type: 'integer',
+    example: 10,
+    minimum: 1,
+    maximum: 2000,
+    description: 'Maximum number of events per local day; the highest ranked are kept (default: no cap)'
+  },
+  timezone: {
+    type: 'string',
+    format: 'timezone',
+    example: 'Europe/Berlin',
+    description: 'IANA timezone of the calendar (default: resolved from the coordinates)'
+  },
+  sources: {
+    type: 'array',
+    maxItems: 10,
+    description: 'Event sources to combine (default: PredictHQ when a token is configured)',
+    items: {
+      $ref: '#/components/schemas/EventSource'
+    }
+  },
+  cityName: {
+    type: 'string',
+    maxLength: 200,
+    example: 'Berlin',
+    description: 'City name for location-specific events'
+  },
+  calendarName: {
+    type: 'string',
+    maxLength: 200,
+    example: 'Berlin Weekend',
+    description: 'Calendar name shown in calendar apps, X-WR-CALNAME (default: "<cityName> Events")'
+  },
+  color: {
+    type: 'string',
+    format: 'color',
+    example: '#1E88E5',
+    description: 'Calendar color in format #RRGGBB, X-APPLE-CALENDAR-COLOR'
+  },
+  refreshInterval: {
+    type: 'integer',
+    example: 360,
+    minimum: 15,
+    maximum: 10080,
+    description: 'Suggested refresh interval for subscribed calendars in minutes, REFRESH-INTERVAL and X-PUBLISHED-TTL'
+  },
+  reminders: {
+    type: 'object',
+    example: { festivals: 1440, concerts: 120 },
+    description: 'Reminders as minutes before the start per category; "*" applies to all other categories. Emitted as VALARM components.',
+    additionalProperties: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 40320
+    }
+  }
+};
+
+const schemas = {
+  EventSource: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: {
+        type: 'string',
+        enum: ['predicthq', 'file', 'ics'],
+        example: 'ics',
+        description: 'Provider type'
+      },
+      url: {
+        type: 'string',
+        example: 'https://example.com/club-events.ics',
+        description: 'Feed URL (ics sources only)'
+      },
+      path: {
+        type: 'string',
+        example: 'local-events.json',
+        description: 'File path inside SOURCES_DIR (file sources only)'
+      }
+    },
+    additionalProperties: false
+  },
+  CalendarRequest: {
+    type: 'object',
+    required: ['location'],
+    properties: calendarRequestProperties
+  },
+  FeedRequest: {
+    type: 'object',
+    required: ['location'],
+    properties: {
+      ...calendarRequestProperties,
+      weeks: {
+        ...calendarRequestProperties.weeks,
+        description: 'Horizon in weeks, counted from each poll'
+      },
+      name: {
+        type: 'string',
+        maxLength: 200,
+        example: 'Berlin Events',
+        description: 'Display name of the feed (default: calendarName)'
+      }
+    }
+  },
+  ImportRequest: {
+    type: 'object',
+    required: ['location', 'ics'],
+    properties: {
+      ...calendarRequestProperties,
+      ics: {
+        type: 'string',
+        format: 'icalendar',
+        maxLength: MAX_IMPORT_LENGTH,
+        example: 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nBEGIN:VEVENT\r\nUID:standup@example.com\r\nDTSTART;TZID=Europe/Berlin:20250818T090000\r\nDTEND;TZID=Europe/Berlin:20250818T093000\r\nRRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR\r\nSUMMARY:Standup\r\nEND:VEVENT\r\nEND:VCALENDAR',
+        description: 'Content of the .ics file to combine with the discovered events; recurring events are expanded'
+      },
+      variant: {
+        type: 'string',
+        enum: IMPORT_VARIANTS,
+        default: 'merged',
+        description: 'merged: your events and the discovered events. free-slots: only discovered events that do not overlap your busy times.'
+      }
+    }
+  },
+  GeocodeQuery: {
+    type: 'object',
+    required: ['q'],
+    properties: {
+      q: {
+        type: 'string',
+        minLength: 2,
+        maxLength: 200,
+        example: 'Berlin',
+        description: 'Place name; "name, country" narrows the offline gazetteer search (e.g. "Springfield, US")'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 20,
+        default: 6,
+        description: 'Maximum number of results'
+      },
+      language: {
+        type: 'string',
+        maxLength: 35,
+        example: 'de',
+        description: 'Preferred language of the place names (default: the Accept-Language header)'
+      }
+    }
+  },
+  CategoryFacetsQuery: {
+    type: 'object',
+    required: ['location'],
+    properties: {
+      location: calendarRequestProperties.location,
+      weeks: calendarRequestProperties.weeks,
+      start: calendarRequestProperties.start,
+      end: calendarRequestProperties.end,
+      timezone: calendarRequestProperties.timezone
+    }
+  },
+  EventsQuery: {
+    type: 'object',
+    required: ['location'],
+    properties: {
+      location: calendarRequestProperties.location,
+      categories: calendarRequestProperties.categories,
+      weeks: calendarRequestProperties.weeks,
+      start: calendarRequestProperties.start,
+      end: calendarRequestProperties.end,
+      timezone: calendarRequestProperties.timezone,
+      q: {
+        type: 'string',
+        maxLength: 200,
+        example: 'jazz',
+        description: 'Only events containing every word in the title, description, place, category, labels or performers'
+      },
+      sort: {
+        type: 'string',
+        enum: SORT_ORDERS,
+        default: 'start',
+        description: 'start: chronological. rank: most relevant first. distance: nearest first.'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100,
+        default: 20,
+        description: 'Events per page'
+      },
+      cursor: {
+        type: 'string',
+        maxLength: 500,
+        description: 'nextCursor of the previous page'
+      }
+    }
+  },
+  ExportQuery: {
+    type: 'object',
+    properties: {
+      format: {
+        type: 'string',
+        enum: Object.keys(EXPORT_FORMATS),
+        description: 'Export format (default: negotiated from the Accept header)'
+      }
+    }
+  },
+  ApiKeyRequest: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 200,
+        example: 'Intranet calendar widget',
+        description: 'Who or what the key is for'
+      },
+      rateLimit: {
+        type: 'integer',
+        minimum: 0,
+        maximum: 100000,
+        example: 60,
+        description: 'Requests per minute, 0 for no limit (default: API_KEY_RATE_LIMIT_PER_MINUTE)'
+      },
+      dailyQuota: {
+        type: 'integer',
+        minimum: 0,
+        maximum: 10000000,
+        example: 2000,
+        description: 'Requests per UTC day, 0 for no limit (default: API_KEY_DAILY_QUOTA)'
+      }
+    }
+  }
+};
+
+const FORMATS = {
+  location: {
+    // Saved feeds and jobs may have wider radii (see geo.js); new requests may not
+    check: value => Boolean(parseLocation(value)) && parseRadius(value.split('@')[0]).km <= MAX_RADIUS_KM,
+    message: `must be radius@latitude,longitude with a km/mi/m/ft radius of at most ${MAX_RADIUS_KM} km, e.g. 50km@52.5200,13.4050`
+  },
+  timezone: {
+    check: isValidTimezone,
+    message: 'must be an IANA timezone such as Europe/Berlin'
+  },
+  date: {
+    check: isValidDay,
+    message: 'must be a date in format YYYY-MM-DD'
+  },
+  time: {
+    check: isValidTime,
+    message: 'must be a time in format HH:MM'
+  },
+  'weekday-list': {
+    check: value => Boolean(parseWeekdays(value)),
+    message: 'must be a comma-separated list of sun, mon, tue, wed, thu, fri, sat'
+  },
+  color: {
+    check: value => /^#[0-9a-f]{6}$/i.test(value),
+    message: 'must be a hex color in format #RRGGBB'
+  },
+  icalendar: {
+    check: value => /^\s*BEGIN:VCALENDAR/i.test(value) && /END:VCALENDAR\s*$/i.test(value),
+    message: 'must be iCalendar content starting with BEGIN:VCALENDAR and ending with END:VCALENDAR'
+  }
+};
+
+// Today in the calendar's timezone, where a range without `start` begins
+function defaultStartDay(value) {
+  const target = parseLocation(value.location);
+  const timezone = isValidTimezone(value.timezone) ? value.timezone
+    : (target && resolveTimezone(target.lat, target.lon)) || 'UTC';
+  return localDate(new Date(), timezone);
+}
+
+function checkDateRange(value) {
+  if (!isValidDay(value.end)) return [];
+  if (value.start === undefined || value.start === null || value.start === '') {
+    const days = (new Date(value.end) - new Date(defaultStartDay(value))) / (24 * 60 * 60 * 1000);
+    if (days >= MAX_RANGE_DAYS) {
+      return [{ field: 'end', code: 'out_of_range', message: `end must be within ${MAX_RANGE_DAYS} days of today` }];
+    }
+    return [];
+  }
+  if (!isValidDay(value.start)) return [];
+
+  const days = (new Date(value.end) - new Date(value.start)) / (24 * 60 * 60 * 1000);
+  if (days < 0) {
+    return [{ field: 'end', code: 'out_of_range', message: 'end must not be before start' }];
+  }
+  if (days >= MAX_RANGE_DAYS) {
+    return [{ field: 'end', code: 'out_of_range', message: `end must be within ${MAX_RANGE_DAYS} days of start` }];
+  }
+  return [];
+}
+
+// Reminder keys are categories, or "*" for all others
+function checkReminderCategories(value) {
+  if (typeOf(value.reminders) !== 'object') return [];
+
+  const unknown = Object.keys(value.reminders).filter(key => key !== '*' && !CATEGORY_VALUES.includes(key));
+  if (unknown.length > 0) {
+    return [{ field: 'reminders', code: 'unknown_category', message: `Unknown reminder categories: ${unknown.join(', ')}` }];
+  }
+  return [];
+}
+
+const CROSS_FIELD_CHECKS = {
+  CalendarRequest: [checkDateRange, checkReminderCategories],
+  FeedRequest: [checkDateRange, checkReminderCategories],
+  ImportRequest: [checkDateRange, checkReminderCategories],
+  CategoryFacetsQuery: [checkDateRange],
+  EventsQuery: [checkDateRange]
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Converts query-string values to the schema type where possible
+function coerce(value, schema) {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function rangeMessage(field, min, max, unit = '') {
+  if (min !== undefined && max !== undefined) return `${field} must be between ${min} and ${max}${unit}`;
+  if (min !== undefined) return `${field} must be at least ${min}${unit}`;
+  return `${field} must be at most ${max}${unit}`;
+}
+
+function resolve(schema) {
+  if (schema && schema.$ref) {
+    return schemas[schema.$ref.split('/').pop()];
+  }
+  return schema;
+}
+
+function validateValue(value, schema, field, errors, options) {
+  schema = resolve(schema);
+
+  if (!matchesType(value, schema.type)) {
+    errors.push({ field, code: 'invalid_type', message: `${field} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, code: 'invalid_value', message: `${field} must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+    errors.push({ field, code: 'out_of_range', message: rangeMessage(field, schema.minimum, schema.maximum) });
+  }
+
+  if (typeof value === 'string') {
+    if ((schema.minLength !== undefined && value.length < schema.minLength) ||
+      (schema.maxLength !== undefined && value.length > schema.maxLength)) {
+      errors.push({ field, code: 'out_of_range', message: rangeMessage(field, schema.minLength, schema.maxLength, ' characters') });
+    }
+
+    if (schema.format === 'category-list') {
+      const unknown = value.split(',').map(category => category.trim()).filter(category => !CATEGORY_VALUES.includes(category));
+      if (unknown.length > 0) {
+        errors.push({ field, code: 'unknown_category', message: `Unknown categories: ${unknown.join(', ')}` });
+      }
+    } else if (FORMATS[schema.format] && !FORMATS[schema.format].check(value)) {
+      errors.push({ field, code: 'invalid_format', message: `${field} ${FORMATS[schema.format].message}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, code: 'out_of_range', message: rangeMessage(field, undefined, schema.maxItems, ' items') });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${field}[${index}]`, errors, options));
+    }
+  }
+
+  if (schema.type === 'object') {
+    validateObject(value, schema, `${field}.`, errors, options);
+  }
+}
+
+function validateObject(value, schema, prefix, errors, options) {
+  (schema.required || []).forEach(name => {
+    if (value[name] === undefined || value[name] === null || value[name] === '') {
+      errors.push({ field: `${prefix}${name}`, code: 'required', message: `${prefix}${name} is required` });
+    }
+  });
+
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    let propertyValue = value[name];
+    if (propertyValue === undefined || propertyValue === null || propertyValue === '') return;
+
+    if (options.coerce) {
+      propertyValue = coerce(propertyValue, resolve(property));
+      value[name] = propertyValue;
+    }
+    validateValue(propertyValue, property, `${prefix}${name}`, errors, options);
+  });
+
+  if (schema.additionalProperties === false) {
+    Object.keys(value)
+      .filter(name => !(schema.properties && name in schema.properties))
+      .forEach(name => errors.push({ field: `${prefix}${name}`, code: 'unknown_property', message: `${prefix}${name} is not allowed` }));
+  } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    Object.keys(value)
+      .filter(name => !(schema.properties && name in schema.properties))
+      .forEach(name => validateValue(value[name], schema.additionalProperties, `${prefix}${name}`, errors, options));
+  }
+}
+
+/**
+ * Validates a value against one of the named schemas.
+ *
+ * @param {string} schemaName - e.g. 'CalendarRequest'
+ * @param {*} value - Request body or query
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce=false] - Convert numeric and boolean strings (for query parameters) in place
+ * @returns {Object[]} Field errors; empty when valid
+ */
+function validate(schemaName, value, options = {}) {
+  const schema = schemas[schemaName];
+  if (typeOf(value) !== 'object') {
+    return [{ field: '', code: 'invalid_type', message: 'Request body must be a JSON object' }];
+  }
+
+  const errors = [];
+  validateObject(value, schema, '', errors, options);
+  (CROSS_FIELD_CHECKS[schemaName] || []).forEach(check => errors.push(...check(value)));
+  return errors;
+}
+
+/**
+ * Express middleware that rejects requests whose body (or query) does not
+ * match the schema with a 400 and the field errors.
+ *
+ * @param {string} schemaName
+ * @param {string} [source='body'] - 'body' or 'query'
+ */
+function validateRequest(schemaName, source = 'body') {
+  return (req, res, next) => {
+    const errors = validate(schemaName, req[source] || {}, { coerce: source === 'query' });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: errors.map(error => error.message).join('; '),
+        errors
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  MAX_IMPORT_LENGTH,
+  schemas,
+  validate,
+  validateRequest
+};